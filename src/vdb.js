@@ -1,8 +1,73 @@
 #!/usr/bin/env bun
 
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import net from 'node:net';
+import readline from 'node:readline';
+
 const ARRAY_EMPTY = [];
 
-function create_vscode_extension_client(port = 3579, host = 'localhost') {
+// lifecycle commands only return once the session has terminated
+const SESSION_COMMAND_TIMEOUT = 20000;
+
+// written by the extension, shared by every window
+const BRIDGE_DIRECTORY = path.join(os.homedir(), '.vdb');
+const TOKEN_FILE = path.join(BRIDGE_DIRECTORY, 'token');
+const INSTANCES_DIRECTORY = path.join(BRIDGE_DIRECTORY, 'instances');
+
+const DEFAULT_PORT = 3579;
+const DEFAULT_HOST = 'localhost';
+
+function read_bridge_token() {
+	try {
+		return fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+	} catch (error) {
+		return null;
+	}
+}
+
+// exposes a unix socket or named pipe through the subset of the WebSocket
+// interface the client uses, messages are newline-delimited JSON
+function create_socket_connection(socket_path) {
+	const connection = {
+		onopen: null,
+		onmessage: null,
+		onclose: null,
+		onerror: null
+	};
+	
+	const socket = net.createConnection(socket_path);
+	let buffer = '';
+	
+	socket.setEncoding('utf8');
+	socket.on('connect', () => connection.onopen?.());
+	socket.on('error', (error) => connection.onerror?.(error));
+	socket.on('close', () => connection.onclose?.({}));
+	
+	socket.on('data', (chunk) => {
+		buffer += chunk;
+		
+		let index;
+		while ((index = buffer.indexOf('\n')) !== -1) {
+			const line = buffer.substring(0, index);
+			buffer = buffer.substring(index + 1);
+			
+			if (line.trim())
+				connection.onmessage?.({ data: line });
+		}
+	});
+	
+	connection.send = (message) => socket.write(`${message}\n`);
+	connection.close = () => socket.end();
+	
+	return connection;
+}
+
+// session is an id or name, every command and event is scoped to it when set.
+// the token defaults to $VDB_TOKEN, then the token file of the extension, and
+// is not used with a socket_path, which is protected by its file permissions
+function create_vscode_extension_client(port = DEFAULT_PORT, host = DEFAULT_HOST, session = null, token = null, socket_path = null) {
 	let ws = null;
 	let connected = false;
 	let connecting = false
@@ -13,7 +78,7 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 	const event_listeners = new Map();
 	const ns_event_listeners = new Map();
 	
-	const url = `ws://${host}:${port}`;
+	const url = socket_path ? `unix:${socket_path}` : `ws://${host}:${port}`;
 	const generate_command_id = () => `cmd_${++command_id_counter}_${Date.now()}`;
 	
 	const connect = () => {
@@ -23,7 +88,13 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 		
 		return new Promise((resolve, reject) => {
 			try {
-				ws = new WebSocket(url);
+				if (socket_path) {
+					ws = create_socket_connection(socket_path);
+				} else {
+					// bun sends these headers with the upgrade request
+					const bridge_token = token ?? process.env.VDB_TOKEN ?? read_bridge_token();
+					ws = new WebSocket(url, { headers: bridge_token ? { Authorization: `Bearer ${bridge_token}` } : {} });
+				}
 				
 				ws.onopen = () => {
 					connected = true;
@@ -45,15 +116,18 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 					connecting = false;
 					
 					for (const [id, { reject }] of pending_commands) {
-						reject(new Error('Connection closed'));
+						reject(create_error('connection_failed', 'Connection closed'));
 					}
 					pending_commands.clear();
 				};
 				
 				ws.onerror = (error) => {
 					connecting = false;
-					if (!connected) {
-						reject(new Error(`Failed to connect to WebSocket at ${url}`));
+					if (!connected && socket_path) {
+						reject(create_error('connection_failed', `Failed to connect to socket at ${socket_path}: ${error.message}`));
+					} else if (!connected) {
+						// a refused token looks like any other failed upgrade to the client
+						reject(create_error('connection_failed', `Failed to connect to WebSocket at ${url} (is the bridge running and the token in ${TOKEN_FILE} or --token valid?)`));
 					}
 				};
 				
@@ -74,13 +148,22 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 				if (message.success) {
 					pending.resolve(message.data);
 				} else {
-					pending.reject(new Error(message.error || 'Command failed'));
+					pending.reject(create_error(message.code, message.error || 'Command failed'));
 				}
 			}
 		}
 	};
 	
+	// events without a session (e.g. session_started) are always delivered
+	const matches_session = (data) => {
+		const session_id = data?.sessionId ?? data?.session_id;
+		return !session || !session_id || session_id === session || data.session === session;
+	};
+	
 	const emit_event = (event, data) => {
+		if (!matches_session(data))
+			return;
+		
 		const listeners = event_listeners.get(event) || ARRAY_EMPTY;
 
 		for (const callback of listeners) {
@@ -115,9 +198,12 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 				data
 			};
 			
+			if (session)
+				message.session = session;
+			
 			const timeout_id = setTimeout(() => {
 				pending_commands.delete(id);
-				reject(new Error(`Command '${command}' timed out after ${timeout}ms`));
+				reject(create_error('timeout', `Command '${command}' timed out after ${timeout}ms`));
 			}, timeout);
 			
 			pending_commands.set(id, {
@@ -136,7 +222,7 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 			} catch (error) {
 				clearTimeout(timeout_id);
 				pending_commands.delete(id);
-				reject(new Error(`Failed to send command: ${error.message}`));
+				reject(create_error('connection_failed', `Failed to send command: ${error.message}`));
 			}
 		});
 	};
@@ -236,16 +322,24 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 			return await send_command('status');
 		},
 		
-		async get_variables(thread_id = null) {
-			return await send_command('variables', { threadId: thread_id });
+		async get_variables(thread_id = null, frame_index = null, depth = 0) {
+			return await send_command('variables', { threadId: thread_id, frameIndex: frame_index, depth });
+		},
+		
+		async get_variable(name, thread_id = null, frame_index = null, depth = 0) {
+			return await send_command('variables', { name, threadId: thread_id, frameIndex: frame_index, depth });
 		},
 		
-		async get_variable(name, thread_id = null) {
-			return await send_command('variables', { name, threadId: thread_id });
+		async set_variable(name, value, thread_id = null, frame_index = null) {
+			return await send_command('setVariable', { name, value, threadId: thread_id, frameIndex: frame_index });
 		},
 		
-		async get_call_stack() {
-			const result = await send_command('callstack');
+		async set_expression(expression, value, thread_id = null, frame_index = null) {
+			return await send_command('setExpression', { expression, value, threadId: thread_id, frameIndex: frame_index });
+		},
+		
+		async get_call_stack(thread_id = null, all_threads = true) {
+			const result = await send_command('callstack', { threadId: thread_id, all: all_threads });
 			return result;
 		},
 		
@@ -253,15 +347,33 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 			return await send_command('threads', { detailed });
 		},
 		
-		async get_registers() {
-			return await send_command('registers');
+		async get_selection() {
+			return await send_command('selection');
+		},
+		
+		async select_thread(thread_id) {
+			return await send_command('selection', { threadId: thread_id });
 		},
 		
-		async evaluate_expression(expression, frame_id = null, context = 'watch') {
+		async select_frame(frame_index, thread_id = null) {
+			return await send_command('selection', { frameIndex: frame_index, threadId: thread_id });
+		},
+		
+		async move_frame(offset) {
+			return await send_command('selection', { frameOffset: offset });
+		},
+		
+		async get_registers(thread_id = null, frame_index = null) {
+			return await send_command('registers', { threadId: thread_id, frameIndex: frame_index });
+		},
+		
+		async evaluate_expression(expression, frame_id = null, context = 'watch', thread_id = null, frame_index = null) {
 			return await send_command('evaluate', { 
 					expression, 
 					frameId: frame_id, 
-					context 
+					context,
+					threadId: thread_id,
+					frameIndex: frame_index
 				});
 		},
 		
@@ -269,16 +381,17 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 			return await send_command('memory', { address, count, offset });
 		},
 		
-		async set_breakpoints(file, lines, condition = null) {
-			const data = { file, lines, action: 'set' };
+		// relative paths are resolved by the extension against our cwd and the workspace folders
+		async set_breakpoints(file, lines, condition = null, column = null) {
+			const data = { file, lines, column, cwd: process.cwd(), action: 'set' };
 			if (condition)
 				data.condition = condition;
 			
 			return await send_command('breakpoints', data);
 		},
 		
-		async clear_breakpoints(file, lines = null) {
-			return await send_command('breakpoints', { file, lines, action: 'clear' });
+		async clear_breakpoints(file, lines = null, column = null) {
+			return await send_command('breakpoints', { file, lines, column, cwd: process.cwd(), action: 'clear' });
 		},
 		
 		async continue(thread_id = null, single_thread = false) {
@@ -305,28 +418,213 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 			return await send_command('control', { action, threadId: thread_id });
 		},
 		
+		async get_output(categories = null, limit = null) {
+			return await send_command('output', { categories, limit });
+		},
+		
 		async get_profiles() {
 			return await send_command('profiles');
 		},
 		
-		async start_debugging(profile_name = null) {
-			return await send_command('start', { profile: profile_name });
+		// resolves once the launched session (or one of its children) is 'initialized' or 'stopped' for the first time
+		async start_and_wait(profile_name = null, overrides = {}, condition = 'initialized', timeout = 30000, inputs = {}) {
+			const session_ids = new Set();
+			const live_roots = new Set();
+			const initialized_ids = new Set();
+			const first_stops = new Map();
+			const handlers = new Map();
+			const early_events = [];
+			let root_names = null;
+			let launched = null;
+			let cancel = null;
+			
+			const is_own_session = (data) => session_ids.has(data?.sessionId ?? data?.id);
+			
+			const waiting = new Promise((resolve, reject) => {
+				const finish = (error, value) => {
+					clearTimeout(timeout_id);
+					for (const [event, handler] of handlers)
+						client.off(event, handler);
+					
+					error ? reject(error) : resolve(value);
+				};
+				
+				const timeout_id = setTimeout(() => {
+					finish(create_error('timeout', `Timeout waiting for the session to be ${condition} after ${timeout / 1000}s`));
+				}, timeout);
+				
+				cancel = (error) => finish(error);
+				
+				// the launched sessions are only known by name once start returns, events before that are replayed then
+				const on = (event, handler) => {
+					handlers.set(event, (data) => root_names ? handler(data) : early_events.push([handler, data]));
+				};
+				
+				launched = (names) => {
+					root_names = names;
+					for (const [handler, data] of early_events.splice(0))
+						handler(data);
+				};
+				
+				on('dap:session_started', (data) => {
+					// child sessions (e.g. node workers) report the first stop for their parent
+					if (data.parent_id) {
+						if (!session_ids.has(data.parent_id))
+							return;
+					} else {
+						// each configuration of the launch claims the first root session named after it
+						const name_index = root_names.indexOf(data.name);
+						if (name_index === -1)
+							return;
+						
+						root_names.splice(name_index, 1);
+						live_roots.add(data.id);
+					}
+					
+					session_ids.add(data.id);
+					
+					if (condition === 'initialized' && initialized_ids.has(data.id))
+						finish(null, { session: { session: data.name, sessionId: data.id } });
+					else if (condition === 'stopped' && first_stops.has(data.id))
+						finish(null, { session: first_stops.get(data.id), stop: first_stops.get(data.id) });
+				});
+				
+				// adapters can initialize (and stop) before vscode reports the session as started
+				on('dap:initialized', (data) => {
+					initialized_ids.add(data.sessionId);
+					if (condition === 'initialized' && is_own_session(data))
+						finish(null, { session: data });
+				});
+				
+				on('dap:stopped', (data) => {
+					if (!first_stops.has(data.sessionId))
+						first_stops.set(data.sessionId, data);
+					if (condition === 'stopped' && is_own_session(data))
+						finish(null, { session: data, stop: data });
+				});
+				
+				// the debuggee may exit in a child session (js-debug drops helper children), only the launched sessions ending ends the wait
+				on('dap:exited', (data) => {
+					if (!live_roots.delete(data.sessionId) || live_roots.size > 0)
+						return;
+					
+					finish(create_error('session_ended', `Debuggee exited with exit code ${data.exitCode ?? 'unknown'} before the session was ${condition}`));
+				});
+				
+				on('dap:session_terminated', (data) => {
+					if (!live_roots.delete(data.id) || live_roots.size > 0)
+						return;
+					
+					finish(create_error('session_ended', `Debug session ended before it was ${condition}`));
+				});
+				
+				for (const [event, handler] of handlers)
+					client.on(event, handler);
+			});
+			
+			// listeners are in place before the launch so no event is missed
+			try {
+				const result = await this.start_debugging(profile_name, overrides, false, inputs);
+				launched(result.type === 'compound' ? [...result.configurations] : [result.profile]);
+				
+				return { ...result, ...await waiting };
+			} catch (error) {
+				waiting.catch(() => {});
+				cancel(error);
+				throw error;
+			}
+		},
+		
+		async get_sessions() {
+			return await send_command('sessions');
+		},
+		
+		async start_debugging(profile_name = null, overrides = {}, dry_run = false, inputs = {}) {
+			return await send_command('start', { profile: profile_name, overrides, dryRun: dry_run, inputs });
+		},
+		
+		async stop_debugging() {
+			return await send_command('stop', {}, SESSION_COMMAND_TIMEOUT);
+		},
+		
+		async restart_debugging() {
+			return await send_command('restart', {}, SESSION_COMMAND_TIMEOUT);
+		},
+		
+		async terminate_debugging() {
+			return await send_command('terminate', {}, SESSION_COMMAND_TIMEOUT);
+		},
+		
+		async detach_debugging(keep_running = false) {
+			return await send_command('detach', { keepRunning: keep_running }, SESSION_COMMAND_TIMEOUT);
+		},
+		
+		async set_symbol_breakpoint(symbol, file = null, condition = null) {
+			const data = { symbol, file, cwd: process.cwd(), action: 'setSymbol' };
+			if (condition)
+				data.condition = condition;
+			
+			return await send_command('breakpoints', data);
+		},
+		
+		async resolve_symbol_breakpoints() {
+			return await send_command('breakpoints', { action: 'resolveSymbols' });
+		},
+		
+		async update_breakpoints(file, lines, changes, column = null) {
+			return await send_command('breakpoints', { file, lines, column, cwd: process.cwd(), ...changes, action: 'update' });
+		},
+		
+		async update_all_breakpoints(changes) {
+			return await send_command('breakpoints', { all: true, ...changes, action: 'update' });
+		},
+		
+		async set_function_breakpoint(name, condition = null) {
+			const data = { function: name, action: 'setFunction' };
+			if (condition)
+				data.condition = condition;
+			
+			return await send_command('breakpoints', data);
+		},
+		
+		async clear_function_breakpoint(name) {
+			return await send_command('breakpoints', { function: name, action: 'clearFunction' });
 		},
 		
 		async get_all_breakpoints() {
 			return await send_command('breakpoints');
 		},
 		
-		async add_breakpoints(file, lines, condition = null) {
-			return await this.set_breakpoints(file, lines, condition);
+		async add_breakpoints(file, lines, condition = null, column = null) {
+			return await this.set_breakpoints(file, lines, condition, column);
+		},
+		
+		async remove_breakpoints(file, lines = null, column = null) {
+			return await this.clear_breakpoints(file, lines, column);
+		},
+		
+		async get_exception_filters() {
+			return await send_command('exceptionBreakpoints', { action: 'list' });
+		},
+		
+		async enable_exception_filter(filter, condition = null) {
+			return await send_command('exceptionBreakpoints', { action: 'enable', filter, condition });
 		},
 		
-		async remove_breakpoints(file, lines = null) {
-			return await this.clear_breakpoints(file, lines);
+		async disable_exception_filter(filter) {
+			return await send_command('exceptionBreakpoints', { action: 'disable', filter });
 		},
 		
-		async disassemble(address = null, count = 10, offset = 0) {
-			return await send_command('disassemble', { address, count, offset });
+		async clear_exception_filters() {
+			return await send_command('exceptionBreakpoints', { action: 'clear' });
+		},
+		
+		async get_exception_info(thread_id = null) {
+			return await send_command('exceptionInfo', { threadId: thread_id });
+		},
+		
+		async disassemble(address = null, count = 10, offset = 0, thread_id = null, frame_index = null) {
+			return await send_command('disassemble', { address, count, offset, threadId: thread_id, frameIndex: frame_index });
 		},
 		
 		async get_data_breakpoint_info(name, variables_reference = null) {
@@ -340,7 +638,7 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 		async add_data_breakpoint(name, access_type = 'readWrite', condition = null) {
 			const info = await this.get_data_breakpoint_info(name);
 			if (!info.dataId) {
-				throw new Error(`Cannot create data breakpoint for '${name}': ${info.description}`);
+				throw create_error('unsupported', `Cannot create data breakpoint for '${name}': ${info.description}`);
 			}
 			
 			const current_breakpoints = await this.get_all_breakpoints();
@@ -349,13 +647,17 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 				.map(bp => ({
 					dataId: bp.dataId,
 					accessType: bp.accessType,
-					condition: bp.condition
+					condition: bp.condition,
+					description: bp.description,
+					canPersist: bp.canPersist
 				}));
 			
 			const new_data_breakpoint = {
 				dataId: info.dataId,
 				accessType: access_type,
-				condition: condition
+				condition: condition,
+				description: info.description,
+				canPersist: info.canPersist
 			};
 			
 			data_breakpoints.push(new_data_breakpoint);
@@ -371,12 +673,26 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 				.map(bp => ({
 					dataId: bp.dataId,
 					accessType: bp.accessType,
-					condition: bp.condition
+					condition: bp.condition,
+					description: bp.description,
+					canPersist: bp.canPersist
 				}));
 			
 			return await this.set_data_breakpoints(data_breakpoints);
 		},
 		
+		async list_breakpoint_sets() {
+			return await send_command('breakpointSets', { action: 'list' });
+		},
+		
+		async save_breakpoint_set(target) {
+			return await send_command('breakpointSets', { action: 'save', ...parse_breakpoint_set_target(target) });
+		},
+		
+		async load_breakpoint_set(target, replace = false) {
+			return await send_command('breakpointSets', { action: 'load', ...parse_breakpoint_set_target(target), replace });
+		},
+		
 		async wait_for_event(events, timeout = 60000) {
 			if (typeof events === 'string')
 				events = [events];
@@ -384,7 +700,7 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 			return new Promise((resolve, reject) => {
 				const timeout_id = setTimeout(() => {
 					events.forEach(event => client.off(event, event_handlers.get(event)));
-					reject(new Error(`Timeout waiting for events: ${events.join(', ')}`));
+					reject(create_error('timeout', `Timeout waiting for events: ${events.join(', ')}`));
 				}, timeout);
 				
 				const event_handlers = new Map();
@@ -405,6 +721,52 @@ function create_vscode_extension_client(port = 3579, host = 'localhost') {
 	return client;
 }
 
+// <file>:<line>[:<column>], the lazy file match keeps windows drive letters intact
+function parse_breakpoint_location(target) {
+	const match = /^(.+?):(\d+)(?::(\d+))?$/.exec(target || '');
+	if (!match)
+		return null;
+	
+	return { file: match[1], line: parseInt(match[2]), column: match[3] ? parseInt(match[3]) : null };
+}
+
+// <file>:<symbol>, e.g. main.c:calculateSum or parser.cpp:Parser::parse
+function parse_symbol_location(target) {
+	const match = /^(.+?[^:]):([A-Za-z_~][\w:.~]*)$/.exec(target || '');
+	if (!match)
+		return null;
+	
+	return { file: match[1], symbol: match[2] };
+}
+
+function format_breakpoint_location(file, line, column = null) {
+	return column ? `${file}:${line}:${column}` : `${file}:${line}`;
+}
+
+// named sets are stored by the extension, explicit files are resolved against the cwd
+function parse_breakpoint_set_target(target) {
+	if (target.endsWith('.json') || target.includes('/') || target.includes('\\'))
+		return { file: path.resolve(process.cwd(), target) };
+	
+	return { name: target };
+}
+
+function format_breakpoint_status(bp) {
+	let output = '';
+	
+	// verified is null until the breakpoint has been sent to an adapter
+	if (bp.verified === false)
+		output += ' - UNVERIFIED';
+	
+	if (bp.actual_line && bp.line && bp.actual_line !== bp.line)
+		output += ` - moved to line ${bp.actual_line}`;
+	
+	if (bp.message)
+		output += ` - ${bp.message}`;
+	
+	return output;
+}
+
 function format_hex_dump(buffer, start_address = '0x0') {
 	if (!buffer || buffer.length === 0)
 		return 'No data';
@@ -494,6 +856,53 @@ function format_register_category(category_data) {
 	}
 }
 
+function format_variable_tree(name, info, indent = '') {
+	let line = `${indent}${name}=${info.value}`;
+	if (info.type)
+		line += ` (${info.type})`;
+	
+	if (info.cyclic)
+		line += ' [cyclic]';
+	
+	const lines = [line];
+	
+	if (info.children) {
+		for (const [child_name, child_info] of Object.entries(info.children))
+			lines.push(format_variable_tree(child_name, child_info, indent + '  '));
+	}
+	
+	if (info.truncated)
+		lines.push(`${indent}  ...`);
+	
+	return lines.join('\n');
+}
+
+function format_exception_details(details, indent = '') {
+	const lines = [];
+	
+	if (details.fullTypeName || details.typeName)
+		lines.push(`${indent}type=${details.fullTypeName || details.typeName}`);
+	
+	if (details.message)
+		lines.push(`${indent}message=${details.message}`);
+	
+	if (details.evaluateName)
+		lines.push(`${indent}evaluate_name=${details.evaluateName}`);
+	
+	if (details.stackTrace) {
+		lines.push(`${indent}stack_trace:`);
+		for (const line of details.stackTrace.split(/\r?\n/).filter(l => l.trim()))
+			lines.push(`${indent}  ${line.trim()}`);
+	}
+	
+	(details.innerException || []).forEach((inner, index) => {
+		lines.push(`${indent}inner_exception[${index}]:`);
+		lines.push(format_exception_details(inner, indent + '  '));
+	});
+	
+	return lines.join('\n');
+}
+
 function format_disassembly(instructions) {
 	if (!instructions || instructions.length === 0)
 		return 'No disassembly data available';
@@ -549,6 +958,19 @@ function format_event(event_name, data) {
 					parts.push(`name=${value}`);
 				} else if (key === 'type') {
 					parts.push(`type=${value}`);
+				} else if (key === 'breakpoint' && typeof value === 'object') {
+					if (value.id !== undefined)
+						parts.push(`id=${value.id}`);
+					
+					parts.push(`verified=${!!value.verified}`);
+					if (value.line)
+						parts.push(`line=${value.line}`);
+					
+					if (value.message)
+						parts.push(`message=${value.message}`);
+				} else if (Array.isArray(value)) {
+					if (value.length > 0)
+						parts.push(`${key}=${value.join(',')}`);
 				} else if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
 					parts.push(`${key}=${value}`);
 				}
@@ -559,9 +981,29 @@ function format_event(event_name, data) {
 	return parts.join(' ');
 }
 
-function create_vscode_debug_bridge(port = 3579, host = 'localhost') {
+// --json streams events as one line each, the name has no namespace (same as format_event)
+function format_json_event(event_name, data) {
+	return JSON.stringify({ event: event_name, data: data ?? null });
+}
+
+// error codes of the --json output, sent by the extension or set where the cli fails itself
+const ERROR_CODES = [
+	'connection_failed', 'extension_unavailable', 'timeout', 'no_session', 'session_ended',
+	'unsupported', 'ambiguous', 'not_found', 'invalid_arguments'
+];
+
+function create_error(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+// errors without a code (adapter failures, node errors) are reported as command_failed
+function get_error_code(error) {
+	return ERROR_CODES.includes(error.code) ? error.code : 'command_failed';
+}
+
+function create_vscode_debug_bridge(port = DEFAULT_PORT, host = DEFAULT_HOST, session = null, token = null, socket_path = null) {
 	const bridge = {
-		extension_client: create_vscode_extension_client(port, host),
+		extension_client: create_vscode_extension_client(port, host, session, token, socket_path),
 		extension_available: false,
 		selected_thread_id: null,
 		available_threads: [],
@@ -591,6 +1033,7 @@ function create_vscode_debug_bridge(port = 3579, host = 'localhost') {
 							...base_info,
 							available: true,
 							session: {
+								id: status.session_id,
 								name: status.session_name,
 								type: status.session_type,
 								isRunning: status.is_running
@@ -598,8 +1041,13 @@ function create_vscode_debug_bridge(port = 3579, host = 'localhost') {
 							execution: {
 								state: status.execution_state,
 								stop_reason: status.stop_reason,
+								stop_description: status.stop_description,
+								stop_thread_id: status.stop_thread_id,
+								all_threads_stopped: status.all_threads_stopped,
+								hit_breakpoint_ids: status.hit_breakpoint_ids,
 								stop_location: status.stop_location,
-								stopped_at_breakpoint: status.stopped_at_breakpoint
+								stopped_at_breakpoint: status.stopped_at_breakpoint,
+								exit_code: status.exit_code
 							}
 						};
 					}
@@ -612,92 +1060,270 @@ function create_vscode_debug_bridge(port = 3579, host = 'localhost') {
 			return base_info;
 		},
 		
-		async get_variable_value(name, thread_id = null) {
+		async get_variable_value(name, thread_id = null, frame_index = null) {
 			if (!bridge.extension_available)
-				throw new Error('Variable access requires VSCode Debug Bridge extension');
+				throw create_error('extension_unavailable', 'Variable access requires VSCode Debug Bridge extension');
 			
-			const target_thread = thread_id || bridge.selected_thread_id;
-			const variable = await bridge.extension_client.get_variable(name, target_thread);
+			// thread/frame selection is held by the extension, null falls back to it
+			const variable = await bridge.extension_client.get_variable(name, thread_id, frame_index);
 			return variable.value;
 		},
 		
-		async get_all_variables(thread_id = null) {
+		async get_variable(name, thread_id = null, frame_index = null, depth = 0) {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Variable access requires VSCode Debug Bridge extension');
+			
+			return await bridge.extension_client.get_variable(name, thread_id, frame_index, depth);
+		},
+		
+		async get_all_variables(thread_id = null, frame_index = null, depth = 0) {
 			if (!bridge.extension_available)
-				throw new Error('Variable access requires VSCode Debug Bridge extension');
+				throw create_error('extension_unavailable', 'Variable access requires VSCode Debug Bridge extension');
 			
-			const target_thread = thread_id || bridge.selected_thread_id;
-			const result = await bridge.extension_client.get_variables(target_thread);
+			const result = await bridge.extension_client.get_variables(thread_id, frame_index, depth);
 			return result.variables;
 		},
 		
-		async evaluate_expression(expression) {
+		async set_variable(name, value, thread_id = null, frame_index = null) {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Variable modification requires VSCode Debug Bridge extension');
+			
+			return await bridge.extension_client.set_variable(name, value, thread_id, frame_index);
+		},
+		
+		async set_expression(expression, value, thread_id = null, frame_index = null) {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Expression modification requires VSCode Debug Bridge extension');
+			
+			return await bridge.extension_client.set_expression(expression, value, thread_id, frame_index);
+		},
+		
+		async evaluate_expression(expression, thread_id = null, frame_index = null) {
 			if (!bridge.extension_available)
-				throw new Error('Expression evaluation requires VSCode Debug Bridge extension');
+				throw create_error('extension_unavailable', 'Expression evaluation requires VSCode Debug Bridge extension');
 			
-			const result = await bridge.extension_client.evaluate_expression(expression);
+			const result = await bridge.extension_client.evaluate_expression(expression, null, 'watch', thread_id, frame_index);
 			return result;
 		},
 		
-		async get_call_stack() {
+		async get_call_stack(thread_id = null, all_threads = false) {
 			if (!bridge.extension_available)
-				throw new Error('Call stack access requires VSCode Debug Bridge extension');
+				throw create_error('extension_unavailable', 'Call stack access requires VSCode Debug Bridge extension');
 			
-			const result = await bridge.extension_client.get_call_stack();
+			const result = await bridge.extension_client.get_call_stack(thread_id, all_threads);
 			return result;
 		},
 		
-		async get_registers() {
+		async get_registers(thread_id = null, frame_index = null) {
 			if (!bridge.extension_available)
-				throw new Error('Register access requires VSCode Debug Bridge extension');
+				throw create_error('extension_unavailable', 'Register access requires VSCode Debug Bridge extension');
 			
-			const result = await bridge.extension_client.get_registers();
+			const result = await bridge.extension_client.get_registers(thread_id, frame_index);
 			return result.registers;
 		},
 		
 		async get_threads(detailed = false) {
 			if (!bridge.extension_available)
-				throw new Error('Thread access requires VSCode Debug Bridge extension');
+				throw create_error('extension_unavailable', 'Thread access requires VSCode Debug Bridge extension');
 			
 			const result = await bridge.extension_client.get_threads(detailed);
 			bridge.available_threads = result.threads;
-			
-			if (!bridge.selected_thread_id && result.threads.length > 0)
-				bridge.selected_thread_id = result.threads[0].id;
+			bridge.selected_thread_id = result.selected_thread_id;
 			
 			return result;
 		},
 		
-		select_thread(thread_id) {
-			const thread = bridge.available_threads.find(t => t.id === thread_id);
-			if (!thread)
-				throw new Error(`Thread ${thread_id} not found. Available threads: ${bridge.available_threads.map(t => t.id).join(', ')}`);
-
-			bridge.selected_thread_id = thread_id;
-			return thread;
+		async select_thread(thread_id) {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Thread access requires VSCode Debug Bridge extension');
+			
+			const selection = await bridge.extension_client.select_thread(thread_id);
+			bridge.selected_thread_id = selection.thread_id;
+			return { id: selection.thread_id, name: selection.thread_name };
 		},
 		
-		get_current_thread() {
-			if (!bridge.selected_thread_id)
+		async get_current_thread() {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Thread access requires VSCode Debug Bridge extension');
+			
+			const selection = await bridge.extension_client.get_selection();
+			bridge.selected_thread_id = selection.thread_id;
+			
+			if (selection.thread_id === null)
 				return null;
-
-			return bridge.available_threads.find(t => t.id === bridge.selected_thread_id) || null;
+			
+			return { id: selection.thread_id, name: selection.thread_name };
+		},
+		
+		async get_selection() {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Frame access requires VSCode Debug Bridge extension');
+			
+			return await bridge.extension_client.get_selection();
+		},
+		
+		async select_frame(frame_index, thread_id = null) {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Frame access requires VSCode Debug Bridge extension');
+			
+			return await bridge.extension_client.select_frame(frame_index, thread_id);
+		},
+		
+		async move_frame(offset) {
+			if (!bridge.extension_available)
+				throw create_error('extension_unavailable', 'Frame access requires VSCode Debug Bridge extension');
+			
+			return await bridge.extension_client.move_frame(offset);
 		}
 	};
 	
 	return bridge;
 }
 
+// splits "a 'b c' \"d\"" into arguments the way a shell would, without expansion
+function split_command_line(command_line) {
+	const result = [];
+	const pattern = /"((?:\\.|[^"\\])*)"|'([^']*)'|([^\s"']+)/g;
+	let current = null;
+	let last_index = 0;
+	let match;
+	
+	while ((match = pattern.exec(command_line)) !== null) {
+		const part = match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : (match[2] ?? match[3]);
+		
+		// adjacent pieces such as --name="a b" belong to the same argument
+		if (current !== null && match.index === last_index)
+			current += part;
+		else {
+			if (current !== null)
+				result.push(current);
+			current = part;
+		}
+		
+		last_index = pattern.lastIndex;
+	}
+	
+	if (current !== null)
+		result.push(current);
+	
+	return result;
+}
+
+// paths containing launch.json variables are resolved by vscode
+function resolve_launch_path(file) {
+	return file && !file.includes('${') ? path.resolve(process.cwd(), file) : file;
+}
+
+function is_process_alive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		return error.code === 'EPERM';
+	}
+}
+
+// instances of windows that were closed without deactivating are removed on the way
+function list_instances() {
+	let files;
+	try {
+		files = fs.readdirSync(INSTANCES_DIRECTORY).filter(file => file.endsWith('.json'));
+	} catch (error) {
+		return [];
+	}
+	
+	const instances = [];
+	for (const file of files) {
+		const instance_file = path.join(INSTANCES_DIRECTORY, file);
+		try {
+			const instance = JSON.parse(fs.readFileSync(instance_file, 'utf8'));
+			if (is_process_alive(instance.pid))
+				instances.push(instance);
+			else
+				fs.rmSync(instance_file, { force: true });
+		} catch (error) {
+			// written concurrently by the extension, picked up next time
+		}
+	}
+	
+	return instances.sort((a, b) => a.started_at.localeCompare(b.started_at));
+}
+
+function is_path_inside(folder, file) {
+	const relative = path.relative(folder, file);
+	return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// the instance with the innermost workspace folder containing the cwd, or the only one running
+function find_instance(instances, cwd = process.cwd()) {
+	let found = null;
+	let found_length = -1;
+	
+	for (const instance of instances) {
+		for (const folder of instance.folders || ARRAY_EMPTY) {
+			if (folder.length > found_length && is_path_inside(folder, cwd)) {
+				found = instance;
+				found_length = folder.length;
+			}
+		}
+	}
+	
+	return found ?? (instances.length === 1 ? instances[0] : null);
+}
+
+// --socket/--port/--host skip discovery, --instance is an id or workspace name,
+// without any instance found the window owning the default port is used
+function resolve_bridge_address(port, host, socket_path, instance_target) {
+	if (socket_path)
+		return { socket: path.resolve(socket_path) };
+	
+	if (port !== null || host !== null)
+		return { port: port ?? DEFAULT_PORT, host: host ?? DEFAULT_HOST };
+	
+	const instances = list_instances();
+	let instance;
+	
+	if (instance_target) {
+		instance = instances.find(entry => entry.id === instance_target) ?? instances.find(entry => entry.workspace === instance_target);
+		if (!instance)
+			throw create_error('not_found', `Instance '${instance_target}' not found`);
+	} else {
+		instance = find_instance(instances);
+	}
+	
+	if (!instance)
+		return { port: DEFAULT_PORT, host: DEFAULT_HOST };
+	
+	if (instance.transport === 'socket')
+		return { socket: instance.socket };
+	
+	// wildcard binds are reachable on loopback
+	const instance_host = ['0.0.0.0', '::'].includes(instance.host) ? DEFAULT_HOST : instance.host;
+	return { port: instance.port, host: instance_host || DEFAULT_HOST, token: instance.token ?? null };
+}
+
 function parse_args(args) {
 	const parsed = {
-		port: 3579,
-		host: 'localhost',
+		port: null,
+		host: null,
+		instance: null,
+		socket: null,
+		session: null,
+		token: null,
 		args: [],
 		flags: {}
 	};
 	
-	for (const arg of args) {
+	for (let index = 0; index < args.length; index++) {
+		const arg = args[index];
+		
 		if (arg.startsWith('--')) {
-			const [key, value] = arg.substring(2).split('=');
+			// values may contain '=' themselves, e.g. --condition=i==3
+			const [key, ...value_parts] = arg.substring(2).split('=');
+			const value = value_parts.length > 0 ? value_parts.join('=') : undefined;
+			
+			// launch overrides also accept their value as the next argument (--cwd build)
+			const take_value = () => value ?? args[++index];
 			
 			switch (key) {
 				case 'port':
@@ -706,17 +1332,106 @@ function parse_args(args) {
 				case 'host':
 					parsed.host = value;
 					break;
+				case 'session':
+					parsed.session = value;
+					break;
+				case 'instance':
+					parsed.instance = value;
+					break;
+				case 'socket':
+					parsed.socket = value;
+					break;
+				case 'token':
+					parsed.token = value;
+					break;
 				case 'thread':
 					parsed.flags.thread = parseInt(value);
 					break;
-				case 'single-thread':
+				case 'frame':
+					parsed.flags.frame = parseInt(value);
+					break;
+				case 'depth':
+					parsed.flags.depth = parseInt(value);
+					break;
+				case 'single-thread':
 					parsed.flags.singleThread = true;
 					break;
+				case 'all':
+					parsed.flags.all = true;
+					break;
+				case 'selected':
+					parsed.flags.selected = true;
+					break;
+				case 'keep-running':
+					parsed.flags.keepRunning = true;
+					break;
+				case 'follow':
+					parsed.flags.follow = true;
+					break;
+				case 'category':
+					parsed.flags.category = (take_value() ?? '').split(',').map(category => category.trim()).filter(Boolean);
+					break;
+				case 'limit':
+					parsed.flags.limit = parseInt(value);
+					break;
+				case 'condition':
+					parsed.flags.condition = value ?? '';
+					break;
+				case 'hit':
+					parsed.flags.hit = value ?? '';
+					break;
+				case 'log':
+					parsed.flags.log = value ?? '';
+					break;
+				case 'replace':
+					parsed.flags.replace = true;
+					break;
+				case 'symbol':
+					parsed.flags.symbol = value;
+					break;
+				case 'args':
+					parsed.flags.args = split_command_line(take_value() ?? '');
+					break;
+				case 'env': {
+					const [name, ...env_value] = (take_value() ?? '').split('=');
+					parsed.flags.env = { ...parsed.flags.env, [name]: env_value.join('=') };
+					break;
+				}
+				case 'input': {
+					const [name, ...input_value] = (take_value() ?? '').split('=');
+					parsed.flags.inputs = { ...parsed.flags.inputs, [name]: input_value.join('=') };
+					break;
+				}
+				case 'cwd':
+					parsed.flags.cwd = take_value();
+					break;
+				case 'type':
+					parsed.flags.type = take_value();
+					break;
+				case 'program':
+					parsed.flags.program = take_value();
+					break;
+				case 'stop-on-entry':
+					parsed.flags.stopOnEntry = true;
+					break;
+				case 'dry-run':
+					parsed.flags.dryRun = true;
+					break;
+				case 'wait':
+					parsed.flags.wait = value ?? 'initialized';
+					break;
+				case 'timeout':
+					parsed.flags.timeout = parseInt(value);
+					break;
+				case 'json':
+					parsed.flags.json = true;
+					break;
 				default:
 					if (key === 'detailed') {
 						parsed.flags.detailed = true;
 					} else {
-						console.log(`unrecognized flag ${key}`);
+						// stderr keeps --json output parseable
+						console.warn(`unrecognized flag ${key}`);
 					}
 			}
 		} else {
@@ -727,397 +1442,977 @@ function parse_args(args) {
 	return parsed;
 }
 
-async function main() {
-	const raw_args = process.argv.slice(2);
-	const { port, host, args, flags } = parse_args(raw_args);
-	const command = args[0] || 'status';
+// --json prints exactly one document per command, events are streamed one per line.
+// on_result receives the data instead (scripts capturing results), errors are still printed
+function create_reporter(command, json_output, on_result = null) {
+	let failure = null;
+	
+	const print_result = (data) => {
+		if (on_result)
+			on_result(data ?? null);
+		else
+			console.log(JSON.stringify({ ok: true, command, data: data ?? null }));
+	};
 	
-	const vdb = create_vscode_debug_bridge(port, host);
+	// wait prints the event it waited for as an event line instead of a result document
+	const print_event = (event_name, data) => {
+		if (on_result)
+			on_result({ event: event_name, data: data ?? null });
+		else
+			console.log(format_json_event(event_name, data));
+	};
 	
-	try {
-		const extension_available = await vdb.initialize();
+	const report_error = (error, code = get_error_code(error)) => {
+		failure = { code, message: error.message };
+		process.exitCode = 1;
 		
-		if (!extension_available && command !== 'status') {
-			console.error('extension not available - limited capabilities');
-			return;
-		}
+		if (json_output)
+			console.log(JSON.stringify({ ok: false, command, error: failure }));
+		else
+			console.error(error.message);
+	};
+	
+	const report_usage = (message, ...usage) => {
+		if (json_output)
+			return report_error(new Error(message), 'invalid_arguments');
 		
-		switch (command) {
-			case 'wait':
-				const user_events = args[1] ? args[1].split(',') : ['stopped'];
-				const wait_events = user_events.map(event => event.trim().startsWith('dap:') ? event.trim() : `dap:${event.trim()}`);
-				const timeout = args[2] ? parseInt(args[2]) * 1000 : 60000;
-				
+		failure = { code: 'invalid_arguments', message };
+		process.exitCode = 1;
+		console.error(message);
+		for (const line of usage)
+			console.log(line);
+	};
+	
+	return {
+		print_result,
+		print_event,
+		report_error,
+		report_usage,
+		structured: json_output || !!on_result,
+		get_failure: () => failure
+	};
+}
+
+// vdb is null for commands that need no connection (instances). interactive is set
+// by the repl and scripts, where commands streaming until ctrl+c make no sense
+async function run_command(vdb, command, args, flags, interactive = false, reporter = create_reporter(command, !!flags.json)) {
+	const { print_result, print_event, report_error, report_usage, structured: json_output } = reporter;
+	
+	switch (command) {
+		case 'instances': {
+			// read from the discovery directory, no connection needed
+			const instances = list_instances();
+			const selected = find_instance(instances);
+			
+			if (json_output) {
+				print_result({ instances: instances.map(({ token, ...entry }) => entry), selected_id: selected?.id ?? null });
+			} else if (instances.length === 0) {
+				console.log('No running bridge instances');
+			} else {
+				for (const entry of instances) {
+					const marker = entry === selected ? '*' : ' ';
+					const session_info = entry.session ? ` - session: ${entry.session.name}` : '';
+					const listen_info = entry.transport === 'socket' ? `socket ${entry.socket}` : `port ${entry.port}`;
+					console.log(`${marker} ${entry.id} ${entry.workspace || '(no workspace)'} (${listen_info}, pid ${entry.pid})${session_info}`);
+					
+					for (const folder of entry.folders)
+						console.log(`    ${folder}`);
+				}
+			}
+			break;
+		}
+			
+		case 'wait':
+			const user_events = args[1] ? args[1].split(',') : ['stopped'];
+			const wait_events = user_events.map(event => event.trim().startsWith('dap:') ? event.trim() : `dap:${event.trim()}`);
+			const timeout = args[2] ? parseInt(args[2]) * 1000 : 60000;
+			
+			if (!json_output)
 				console.log(`waiting for events: ${user_events.join(', ')} (timeout: ${timeout/1000}s)`);
+			
+			try {
+				const result = await vdb.extension_client.wait_for_event(wait_events, timeout);
+				const [event_ns, event_name] = result.event.split(':');
 				
-				try {
-					const result = await vdb.extension_client.wait_for_event(wait_events, timeout);
-					const [event_ns, event_name] = result.event.split(':');
-					const formatted = format_event(event_name, result.data);
-					console.log(`event occurred: ${formatted}`);
-				} catch (error) {
-					console.error(error.message);
-				}
+				if (json_output)
+					print_event(event_name, result.data);
+				else
+					console.log(`event occurred: ${format_event(event_name, result.data)}`);
+			} catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'events':
+			if (interactive) {
+				report_usage('events streams until ctrl+c, use wait instead (the repl prints events as they arrive)');
 				break;
-				
-			case 'events':
+			}
+			
+			if (!json_output)
 				console.log('monitoring debug events (press ctrl+c to stop)...');
+			
+			const event_handler = (event_name, data) => {
+				console.log(json_output ? format_json_event(event_name, data) : format_event(event_name, data));
+			};
+			
+			vdb.extension_client.on_namespace('dap', event_handler);
+			
+			process.on('SIGINT', () => {
+				if (!json_output)
+					console.log('aborted');
+				vdb.extension_client.off_namespace('dap');
+				process.exit(0);
+			});
+			
+			await new Promise(() => {});
+			break;
+	
+		case 'output':
+			if (interactive && flags.follow) {
+				report_usage('output --follow streams until ctrl+c, leave out --follow (the repl prints output as it arrives)');
+				break;
+			}
+			
+			if (flags.category?.length === 0) {
+				report_usage('category required',
+					'Usage: vdb output --category=<stdout,stderr,console,...>');
+				break;
+			}
+			
+			const output_categories = flags.category || null;
+			const write_output = (entry) => {
+				// --follow --json streams the entries like events
+				if (json_output)
+					return console.log(format_json_event('output', entry));
 				
-				const event_handler = (event_name, data) => {
-					const formatted = format_event(event_name, data);
-					console.log(formatted);
-				};
+				const text = entry.output.endsWith('\n') ? entry.output : entry.output + '\n';
+				if (entry.category === 'stderr')
+					process.stderr.write(text);
+				else
+					process.stdout.write(text);
+			};
+			
+			try {
+				// subscribe before fetching so nothing is lost between the two
+				const pending_output = [];
+				let output_ready = false;
+				let last_seq = 0;
+				
+				if (flags.follow) {
+					vdb.extension_client.on('dap:output', (entry) => {
+						if (output_categories && !output_categories.includes(entry.category))
+							return;
+						
+						if (!output_ready)
+							pending_output.push(entry);
+						else if (entry.seq > last_seq)
+							write_output(entry);
+					});
+				}
+				
+				const result = await vdb.extension_client.get_output(output_categories, flags.limit);
+				if (json_output && !flags.follow) {
+					print_result(result);
+					break;
+				}
+				
+				for (const entry of result.entries) {
+					write_output(entry);
+					last_seq = entry.seq;
+				}
+				
+				if (!flags.follow)
+					break;
 				
-					vdb.extension_client.on_namespace('dap', event_handler);
+				output_ready = true;
+				for (const entry of pending_output) {
+					if (entry.seq > last_seq)
+						write_output(entry);
+				}
 				
 				process.on('SIGINT', () => {
-					console.log('aborted');
-					vdb.extension_client.off_namespace('dap');
+					vdb.extension_client.off('dap:output');
 					process.exit(0);
 				});
 				
 				await new Promise(() => {});
-				break;
-		
-			case 'var':
-				const var_name = args[1];
-				if (!var_name) {
-					console.error('variable name required');
-					console.log('Usage: vdb var <name> [--thread=<id>]');
-					return;
-				}
-				
-				try {
-					const value = await vdb.get_variable_value(var_name, flags.thread);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'var':
+			const var_name = args[1];
+			if (!var_name) {
+				report_usage('variable name required',
+					'Usage: vdb var <name|path> [--thread=<id>] [--frame=<n>] [--depth=<n>]',
+					'Example: vdb var person.address.city');
+				return;
+			}
+			
+			try {
+				if (json_output) {
+					print_result(await vdb.get_variable(var_name, flags.thread, flags.frame, flags.depth || 0));
+				} else if (flags.depth > 0) {
+					const variable = await vdb.get_variable(var_name, flags.thread, flags.frame, flags.depth);
+					console.log(format_variable_tree(var_name, variable));
+				} else {
+					const value = await vdb.get_variable_value(var_name, flags.thread, flags.frame);
 					const thread_info = flags.thread ? ` (thread ${flags.thread})` : '';
 					console.log(`${var_name}=${value}${thread_info}`);
 				}
-				catch (error) {
-					console.error(error.message);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'vars':
+			try {
+				const variables = await vdb.get_all_variables(flags.thread, flags.frame, flags.depth || 0);
+				if (json_output) {
+					print_result({ variables });
+					break;
 				}
-				break;
 				
-			case 'vars':
-				try {
-					const variables = await vdb.get_all_variables(flags.thread);
-					const thread_info = flags.thread ? ` for thread ${flags.thread}` : '';
-					if (thread_info) {
-						console.log(`Variables${thread_info}:`);
-					}
-					for (const [name, info] of Object.entries(variables)) {
-						console.log(`${name}=${info.value} (${info.type})`);
-					}
+				const thread_info = flags.thread ? ` for thread ${flags.thread}` : '';
+				if (thread_info) {
+					console.log(`Variables${thread_info}:`);
 				}
-				catch (error) {
-					console.error(error.message);
+				for (const [name, info] of Object.entries(variables)) {
+					console.log(format_variable_tree(name, info));
 				}
-				break;
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'set':
+		case 'set-expr':
+			const set_target = args[1];
+			const set_value = args.slice(2).join(' ');
+			if (!set_target || !set_value) {
+				report_usage(command === 'set' ? 'variable name and value required' : 'expression and value required',
+					`Usage: vdb ${command} <${command === 'set' ? 'name|path' : 'expression'}> <value> [--thread=<id>] [--frame=<n>]`);
+				return;
+			}
+			
+			try {
+				const result = command === 'set'
+					? await vdb.set_variable(set_target, set_value, flags.thread, flags.frame)
+					: await vdb.set_expression(set_target, set_value, flags.thread, flags.frame);
 				
-			case 'eval':
-				const expression = args[1];
-				if (!expression) {
-					console.error('expression required');
-					console.log('Usage: vdb eval <expression>');
-					return;
+				if (json_output) {
+					print_result(result);
+					break;
 				}
 				
-				try {
-					const result = await vdb.evaluate_expression(expression);
-					console.log(`${expression}=${result.value} (${result.type})`);
-				}
-				catch (error) {
-					console.error(error.message);
+				const type_info = result.type ? ` (${result.type})` : '';
+				console.log(`${set_target}=${result.value}${type_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'eval':
+			const expression = args[1];
+			if (!expression) {
+				report_usage('expression required',
+					'Usage: vdb eval <expression>');
+				return;
+			}
+			
+			try {
+				const result = await vdb.evaluate_expression(expression, flags.thread, flags.frame);
+				if (json_output) {
+					print_result(result);
+					break;
 				}
-				break;
 				
-			case 'mem':
-				const address = args[1];
-				if (!address) {
-					console.error('memory address required');
-					console.log('Usage: vdb mem <address> [count] [offset]');
-					console.log('Example: vdb mem 0x1234ABCD 32');
-					return;
+				console.log(`${expression}=${result.value} (${result.type})`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'exception':
+			try {
+				const info = await vdb.extension_client.get_exception_info(flags.thread);
+				if (json_output) {
+					print_result(info);
+					break;
 				}
 				
-				const count = args[2] ? parseInt(args[2]) : 64;
-				const offset = args[3] ? parseInt(args[3]) : 0;
+				console.log(`thread=${info.thread_id}`);
 				
-				try {
-					const result = await vdb.extension_client.read_memory(address, count, offset);
-					console.log(`address=${result.address} size=${count}`);
-					
-					if (result.data) {
-						const data = Buffer.from(result.data, 'base64');
-						const hex_dump = format_hex_dump(data, result.address || address);
-						console.log(hex_dump);
-					}
-					else {
-						console.log('No data available');
-					}
-					
-					if (result.unreadable_bytes > 0)
-						console.log(`unreadable_bytes=${result.unreadable_bytes}`);
+				if (info.exception_id)
+					console.log(`exception=${info.exception_id}`);
+				
+				if (info.description)
+					console.log(`description=${info.description}`);
+				
+				if (info.break_mode)
+					console.log(`break_mode=${info.break_mode}`);
+				
+				if (info.details) {
+					const details = format_exception_details(info.details);
+					if (details)
+						console.log(details);
 				}
-				catch (error) {
-					console.error(error.message);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'mem':
+			const address = args[1];
+			if (!address) {
+				report_usage('memory address required',
+					'Usage: vdb mem <address> [count] [offset]',
+					'Example: vdb mem 0x1234ABCD 32');
+				return;
+			}
+			
+			const count = args[2] ? parseInt(args[2]) : 64;
+			const offset = args[3] ? parseInt(args[3]) : 0;
+			
+			try {
+				const result = await vdb.extension_client.read_memory(address, count, offset);
+				if (json_output) {
+					print_result(result);
+					break;
 				}
-				break;
 				
-			case 'stack':
-				try {
-					const call_stack = await vdb.get_call_stack();
-					if (call_stack && call_stack.length > 0) {
-						call_stack.forEach((thread) => {
-							if (thread.frames && thread.frames.length > 0) {
-								thread.frames.forEach((frame, frame_index) => {
-									const location = frame.source ? `${frame.source}:${frame.line}` : 'unknown';
-									console.log(`${thread.thread_id}:${frame_index} ${frame.name} ${location}`);
-								});
-							}
-						});
-					} else {
-						console.log('No call stack information available');
-					}
+				console.log(`address=${result.address} size=${count}`);
+				
+				if (result.data) {
+					const data = Buffer.from(result.data, 'base64');
+					const hex_dump = format_hex_dump(data, result.address || address);
+					console.log(hex_dump);
 				}
-				catch (error) {
-					console.error(error.message);
+				else {
+					console.log('No data available');
 				}
-				break;
 				
-			case 'thread':
-				const thread_action = args[1];
-				if (!thread_action) {
-					console.error('thread action required (select, current)');
-					console.log('Usage: vdb thread select <id>');
-					console.log('       vdb thread current');
-					return;
+				if (result.unreadable_bytes > 0)
+					console.log(`unreadable_bytes=${result.unreadable_bytes}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'stack':
+			try {
+				// every thread unless --selected or --thread narrows it down
+				const call_stack = await vdb.get_call_stack(flags.thread, !flags.selected && flags.thread === undefined);
+				if (json_output) {
+					print_result({ threads: call_stack || [], selection: await vdb.get_selection() });
+					break;
 				}
 				
-				if (thread_action === 'select') {
-					const thread_id = parseInt(args[2]);
-					if (!thread_id && thread_id !== 0) {
-						console.error('thread ID required');
-						console.log('Usage: vdb thread select <id>');
-						return;
-					}
+				if (call_stack && call_stack.length > 0) {
+					const selection = await vdb.get_selection();
+					const selected_thread = flags.thread ?? selection.thread_id ?? call_stack[0].thread_id;
+					const selected_frame = selected_thread === selection.thread_id ? selection.frame_index : 0;
 					
-					try {
-						// Update thread list first
-						await vdb.get_threads();
-						const selected_thread = vdb.select_thread(thread_id);
-						console.log(`Selected thread ${selected_thread.id}: ${selected_thread.name}`);
-					}
-					catch (error) {
-						console.error(error.message);
-					}
-				} else if (thread_action === 'current') {
-					try {
-						// Update thread list first
-						await vdb.get_threads();
-						const current_thread = vdb.get_current_thread();
-						if (current_thread) {
-							console.log(`Current thread: ${current_thread.id} ${current_thread.name}`);
-						} else {
-							console.log('No thread selected');
+					call_stack.forEach((thread) => {
+						if (thread.frames && thread.frames.length > 0) {
+							thread.frames.forEach((frame, frame_index) => {
+								const selected = thread.thread_id === selected_thread && frame_index === selected_frame ? '*' : ' ';
+								const location = frame.source ? `${frame.source}:${frame.line}` : 'unknown';
+								console.log(`${selected}${thread.thread_id}:${frame_index} ${frame.name} ${location}`);
+							});
 						}
-					}
-					catch (error) {
-						console.error(error.message);
-					}
+					});
 				} else {
-					console.error(`Unknown thread action: ${thread_action}`);
+					console.log('No call stack information available');
+				}
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'thread':
+			const thread_action = args[1];
+			if (!thread_action) {
+				report_usage('thread action required (select, current)',
+					'Usage: vdb thread select <id>',
+					'       vdb thread current');
+				return;
+			}
+			
+			if (thread_action === 'select') {
+				const thread_id = parseInt(args[2]);
+				if (!thread_id && thread_id !== 0) {
+					report_usage('thread ID required',
+						'Usage: vdb thread select <id>');
+					return;
 				}
-				break;
 				
-			case 'threads':
-				const detailed_flag = flags.detailed || false;
 				try {
-					const result = await vdb.get_threads(detailed_flag);
-					result.threads.forEach(thread => {
-						const selected = thread.id === vdb.selected_thread_id ? '*' : ' ';
-						
-						if (detailed_flag) {
-							let output = `${selected}${thread.id} ${thread.name} [${thread.state}]`;
-							if (thread.location) {
-								const filename = thread.location.file ? thread.location.file.split(/[/\\]/).pop() : '';
-								if (filename && thread.location.line)
-									output += ` ${filename}:${thread.location.line}`;
-
-								if (thread.location.function)
-									output += ` ${thread.location.function}`;
-							}
-							console.log(output);
-						} else {
-							console.log(`${selected}${thread.id} ${thread.name}`);
-						}
-					});
+					const selected_thread = await vdb.select_thread(thread_id);
+					if (json_output) {
+						print_result(selected_thread);
+						break;
+					}
+					
+					console.log(`Selected thread ${selected_thread.id}: ${selected_thread.name}`);
 				}
 				catch (error) {
-					console.error(error.message);
+					report_error(error);
 				}
-				break;
-				
-			case 'registers':
+			} else if (thread_action === 'current') {
 				try {
-					const registers = await vdb.get_registers();
-					if (Object.keys(registers).length === 0) {
-						console.log('No register information available');
+					const current_thread = await vdb.get_current_thread();
+					if (json_output) {
+						print_result(current_thread);
+						break;
+					}
+					
+					if (current_thread) {
+						console.log(`Current thread: ${current_thread.id} ${current_thread.name}`);
 					} else {
-						const formatted = format_registers(registers);
-						console.log(formatted.trim());
+						console.log('No thread selected');
 					}
 				}
 				catch (error) {
-					console.error(error.message);
-				}
-				break;
-				
-			case 'continue':
-				try {
-					await vdb.extension_client.continue(vdb.selected_thread_id, flags.singleThread);
-					const single_thread_info = flags.singleThread ? ' (single thread)' : '';
-					console.log(`continued${single_thread_info}`);
+					report_error(error);
 				}
-				catch (error) {
-					console.error(error.message);
+			} else {
+				report_usage(`Unknown thread action: ${thread_action}`);
+			}
+			break;
+			
+		case 'frame':
+			const frame_action = args[1] || 'current';
+			
+			try {
+				let frame_selection;
+				if (frame_action === 'select') {
+					const frame_index = parseInt(args[2]);
+					if (isNaN(frame_index)) {
+						report_usage('frame index required',
+							'Usage: vdb frame select <n> [--thread=<id>]');
+						return;
+					}
+					
+					frame_selection = await vdb.select_frame(frame_index, flags.thread);
+				} else if (frame_action === 'current') {
+					frame_selection = await vdb.move_frame(0);
+				} else {
+					report_usage(`Unknown frame action: ${frame_action}`);
+					return;
 				}
-				break;
 				
-			case 'step':
-				try {
-					await vdb.extension_client.step_over(vdb.selected_thread_id, flags.singleThread);
-					const single_thread_info = flags.singleThread ? ' (single thread)' : '';
-					console.log(`step over${single_thread_info}`);
-				}
-				catch (error) {
-					console.error(error.message);
+				if (json_output) {
+					print_result(frame_selection);
+					break;
 				}
-				break;
 				
-			case 'stepin':
-				try {
-					await vdb.extension_client.step_in(vdb.selected_thread_id, flags.singleThread);
-					const single_thread_info = flags.singleThread ? ' (single thread)' : '';
-					console.log(`step in${single_thread_info}`);
-				}
-				catch (error) {
-					console.error(error.message);
+				const location = frame_selection.source ? `${frame_selection.source}:${frame_selection.line}` : 'unknown';
+				console.log(`Frame ${frame_selection.thread_id}:${frame_selection.frame_index} ${frame_selection.frame_name} ${location}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'up':
+		case 'down':
+			const frame_steps = args[1] ? parseInt(args[1]) : 1;
+			if (isNaN(frame_steps) || frame_steps < 1) {
+				report_usage('frame count must be a positive number',
+					`Usage: vdb ${command} [count]`);
+				return;
+			}
+			
+			try {
+				const frame_selection = await vdb.move_frame(command === 'up' ? frame_steps : -frame_steps);
+				if (json_output) {
+					print_result(frame_selection);
+					break;
 				}
-				break;
 				
-			case 'stepout':
-				try {
-					await vdb.extension_client.step_out(vdb.selected_thread_id, flags.singleThread);
-					const single_thread_info = flags.singleThread ? ' (single thread)' : '';
-					console.log(`step out${single_thread_info}`);
+				const location = frame_selection.source ? `${frame_selection.source}:${frame_selection.line}` : 'unknown';
+				console.log(`Frame ${frame_selection.thread_id}:${frame_selection.frame_index} ${frame_selection.frame_name} ${location}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'threads':
+			const detailed_flag = flags.detailed || false;
+			try {
+				const result = await vdb.get_threads(detailed_flag);
+				if (json_output) {
+					print_result(result);
+					break;
 				}
-				catch (error) {
-					console.error(error.message);
+				
+				result.threads.forEach(thread => {
+					const selected = thread.id === vdb.selected_thread_id ? '*' : ' ';
+					
+					if (detailed_flag) {
+						let output = `${selected}${thread.id} ${thread.name} [${thread.state}]`;
+						if (thread.location) {
+							const filename = thread.location.file ? thread.location.file.split(/[/\\]/).pop() : '';
+							if (filename && thread.location.line)
+								output += ` ${filename}:${thread.location.line}`;
+
+							if (thread.location.function)
+								output += ` ${thread.location.function}`;
+						}
+						console.log(output);
+					} else {
+						console.log(`${selected}${thread.id} ${thread.name}`);
+					}
+				});
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'registers':
+			try {
+				const registers = await vdb.get_registers(flags.thread, flags.frame);
+				if (json_output) {
+					print_result({ registers });
+					break;
 				}
-				break;
 				
-			case 'pause':
-				try {
-					await vdb.extension_client.pause(vdb.selected_thread_id, flags.singleThread);
-					const single_thread_info = flags.singleThread ? ' (single thread)' : '';
-					console.log(`paused${single_thread_info}`);
+				if (Object.keys(registers).length === 0) {
+					console.log('No register information available');
+				} else {
+					const formatted = format_registers(registers);
+					console.log(formatted.trim());
 				}
-				catch (error) {
-					console.error(error.message);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'continue':
+			try {
+				const result = await vdb.extension_client.continue(flags.thread, flags.singleThread);
+				if (json_output) {
+					print_result(result);
+					break;
 				}
-				break;
 				
-			case 'profiles':
+				const single_thread_info = flags.singleThread ? ' (single thread)' : '';
+				console.log(`continued${single_thread_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'step':
+			try {
+				const result = await vdb.extension_client.step_over(flags.thread, flags.singleThread);
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				const single_thread_info = flags.singleThread ? ' (single thread)' : '';
+				console.log(`step over${single_thread_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'stepin':
+			try {
+				const result = await vdb.extension_client.step_in(flags.thread, flags.singleThread);
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				const single_thread_info = flags.singleThread ? ' (single thread)' : '';
+				console.log(`step in${single_thread_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'stepout':
+			try {
+				const result = await vdb.extension_client.step_out(flags.thread, flags.singleThread);
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				const single_thread_info = flags.singleThread ? ' (single thread)' : '';
+				console.log(`step out${single_thread_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'pause':
+			try {
+				const result = await vdb.extension_client.pause(flags.thread, flags.singleThread);
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				const single_thread_info = flags.singleThread ? ' (single thread)' : '';
+				console.log(`paused${single_thread_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'profiles':
+			try {
+				const result = await vdb.extension_client.get_profiles();
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				if (result.profiles.length === 0) {
+					console.log('No debug profiles found');
+				} else {
+					result.profiles.forEach((profile, index) => {
+						const type_info = profile.compound ? `compound: ${profile.configurations.join(', ')}` : profile.type;
+						console.log(`${index + 1}. ${profile.name} (${type_info}) - ${profile.workspace}`);
+					});
+				}
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'start':
+			const profile_name = args[1] || null;
+			const launch_overrides = {
+				type: flags.type,
+				program: resolve_launch_path(flags.program),
+				args: flags.args,
+				env: flags.env,
+				cwd: resolve_launch_path(flags.cwd),
+				stopOnEntry: flags.stopOnEntry
+			};
+			
+			if (flags.type && !profile_name && !flags.program) {
+				report_usage('program required to launch without a debug profile',
+					'Usage: vdb start --type=<adapter> --program=<path> [--args "..."] [--env KEY=VAL] [--cwd <dir>]');
+				return;
+			}
+			
+			if (flags.wait && !['initialized', 'stopped'].includes(flags.wait)) {
+				report_usage(`Invalid wait condition: ${flags.wait}. Must be one of: initialized, stopped`);
+				return;
+			}
+			
+			if (flags.wait && !flags.dryRun) {
+				const wait_timeout = (flags.timeout || 30) * 1000;
+				
 				try {
-					const result = await vdb.extension_client.get_profiles();
-					if (result.profiles.length === 0) {
-						console.log('No debug profiles found');
+					const result = await vdb.extension_client.start_and_wait(profile_name, launch_overrides, flags.wait, wait_timeout, flags.inputs);
+					if (json_output) {
+						print_result(result);
+						break;
+					}
+					
+					console.log(`Started debugging: ${result.profile} (${result.type})`);
+					
+					if (result.stop) {
+						const location = result.stop.location;
+						const where = location?.file ? ` at ${location.file}:${location.line}` : '';
+						const function_info = location?.function ? ` in ${location.function}` : '';
+						console.log(`Stopped (${result.stop.reason})${where}${function_info}`);
 					} else {
-						result.profiles.forEach((profile, index) => {
-							console.log(`${index + 1}. ${profile.name} (${profile.type}) - ${profile.workspace}`);
-						});
+						console.log(`Session ${result.session.session} initialized`);
 					}
 				}
 				catch (error) {
-					console.error(error.message);
+					// scripts rely on the exit code to tell a failed launch apart
+					report_error(error);
+					process.exitCode = 1;
 				}
 				break;
+			}
+			
+			try {
+				const result = await vdb.extension_client.start_debugging(profile_name, launch_overrides, !!flags.dryRun, flags.inputs);
+				if (json_output) {
+					print_result(result);
+					break;
+				}
 				
-			case 'start':
-				const profile_name = args[1] || null;
-				try {
-					const result = await vdb.extension_client.start_debugging(profile_name);
+				if (result.dry_run && result.type === 'compound') {
+					console.log(`Compound ${result.profile} launches: ${result.configurations.join(', ')}`);
+				} else if (result.dry_run) {
+					console.log(`Configuration for ${result.profile} (${result.type}):`);
+					console.log(JSON.stringify(result.configuration, null, 2));
+				} else {
 					console.log(`Started debugging: ${result.profile} (${result.type})`);
 				}
-				catch (error) {
-					console.error(error.message);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'sessions':
+			try {
+				const result = await vdb.extension_client.get_sessions();
+				if (json_output) {
+					print_result(result);
+					break;
 				}
-				break;
 				
-			case 'break':
-				const break_action = args[1];
-				if (!break_action) {
-					console.error('break action required (add, remove, list, watch)');
-					console.log('Usage: vdb break add <file> <line> [condition]');
-					console.log('       vdb break remove <file> [line] [line2...]');
-					console.log('       vdb break watch <variable/address> [read|write|access]');
-					console.log('       vdb break list');
-					return;
+				if (result.sessions.length === 0) {
+					console.log('No debug sessions');
+				} else {
+					// children are listed below their parent
+					const print_sessions = (parent_id, depth) => {
+						for (const entry of result.sessions.filter(s => s.parent_id === parent_id)) {
+							const marker = entry.active ? '*' : ' ';
+							const request = entry.request ? `, ${entry.request}` : '';
+							console.log(`${marker} ${'  '.repeat(depth)}${entry.id} ${entry.name} (${entry.type}${request}) - ${entry.execution_state}`);
+							print_sessions(entry.id, depth + 1);
+						}
+					};
+					
+					// parents that are not tracked (anymore) still show their children
+					const ids = new Set(result.sessions.map(entry => entry.id));
+					for (const entry of result.sessions.filter(s => s.parent_id && !ids.has(s.parent_id)))
+						entry.parent_id = null;
+					
+					print_sessions(null, 0);
+				}
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'stop':
+			try {
+				const result = await vdb.extension_client.stop_debugging();
+				if (json_output) {
+					print_result(result);
+					break;
 				}
 				
-				if (break_action === 'list') {
-					try {
-						const result = await vdb.extension_client.get_all_breakpoints();
-						if (result.breakpoints.length === 0) {
-							console.log('No breakpoints set');
-						} else {
-							result.breakpoints.forEach(bp => {
-								if (bp.type === 'data') {
-									let output = `${bp.description} (${bp.accessType})`;
-									if (bp.condition)
-										output += ` - condition: ${bp.condition}`;
-
-									if (!bp.verified)
-										output += ` - UNVERIFIED`;
-
-									if (bp.message)
-										output += ` - ${bp.message}`;
-									
-									console.log(output);
-								} else {
-									const status = bp.enabled ? 'enabled' : 'disabled';
-									let output = `${bp.file}:${bp.line} (${status})`;
-									
-									if (bp.condition) {
-										output += ` - condition: ${bp.condition}`;
-									} else if (bp.hitCondition) {
-										output += ` - hit count: ${bp.hitCondition}`;
-									} else if (bp.logMessage) {
-										output += ` - log: ${bp.logMessage}`;
-									}
-									
-									console.log(output);
-								}
-							});
-						}
-					}
-					catch (error) {
-						console.error(error.message);
+				console.log(`Stopped debugging: ${result.session}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'restart':
+			try {
+				const result = await vdb.extension_client.restart_debugging();
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				const method_info = result.method === 'restart' ? '' : ' (stopped and launched again)';
+				console.log(`Restarted debugging: ${result.session}${method_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'terminate':
+			try {
+				const result = await vdb.extension_client.terminate_debugging();
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				const method_info = result.method === 'stop' ? ' (stopped, the adapter does not support terminate)' : '';
+				console.log(`Terminated debuggee: ${result.session}${method_info}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'detach':
+			try {
+				const result = await vdb.extension_client.detach_debugging(!!flags.keepRunning);
+				if (json_output) {
+					print_result(result);
+					break;
+				}
+				
+				console.log(`Detached from ${result.session}${result.keep_running ? ' (debuggee keeps running)' : ''}`);
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'break':
+			const break_action = args[1];
+			if (!break_action) {
+				report_usage('break action required (add, remove, list, watch)',
+					'Usage: vdb break add <file> <line> [condition]',
+					'       vdb break add <file>:<line>[:<column>] [condition]',
+					'       vdb break add <file>:<function> [condition]',
+					'       vdb break add --symbol=<function> [condition]',
+					'       vdb break resolve',
+					'       vdb break remove <file> [line] [line2...]',
+					'       vdb break remove <file>:<line>[:<column>]',
+					'       vdb break func <name> [condition]',
+					'       vdb break remove func <name>',
+					'       vdb break enable|disable|toggle <file>:<line>',
+					'       vdb break enable|disable --all',
+					'       vdb break edit <file>:<line> [--condition=<expr>] [--hit=<count>] [--log=<message>]',
+					'       vdb break watch <variable/address> [read|write|access]',
+					'       vdb break exceptions [enable|disable <filter> [condition] | clear]',
+					'       vdb break save|load <name|file.json> [--replace]',
+					'       vdb break sets',
+					'       vdb break list');
+				return;
+			}
+			
+			if (break_action === 'list') {
+				try {
+					const result = await vdb.extension_client.get_all_breakpoints();
+					if (json_output) {
+						print_result(result);
+						break;
 					}
-				} else if (break_action === 'add') {
-					const file = args[2];
-					const remaining_args = args.slice(3);
 					
-					if (!file || remaining_args.length === 0) {
-						console.error('file and line number required');
-						console.log('Usage: vdb break add <file> <line> [condition]');
-						return;
+					if (result.breakpoints.length === 0) {
+						console.log('No breakpoints set');
+					} else {
+						result.breakpoints.forEach(bp => {
+							if (bp.type === 'data') {
+								let output = `#${bp.id} ${bp.description} (${bp.accessType})`;
+								if (bp.condition)
+									output += ` - condition: ${bp.condition}`;
+
+								if (!bp.verified)
+									output += ` - UNVERIFIED`;
+
+								if (bp.message)
+									output += ` - ${bp.message}`;
+								
+								console.log(output);
+							} else {
+								const status = bp.enabled ? 'enabled' : 'disabled';
+								const location = bp.type === 'function' ? `${bp.function}()` : format_breakpoint_location(bp.file, bp.line, bp.column);
+								let output = `#${bp.id} ${location} (${status})`;
+								
+								if (bp.condition)
+									output += ` - condition: ${bp.condition}`;
+								
+								if (bp.hitCondition)
+									output += ` - hit count: ${bp.hitCondition}`;
+								
+								if (bp.logMessage)
+									output += ` - log: ${bp.logMessage}`;
+								
+								if (bp.symbol)
+									output += ` - symbol: ${bp.symbol}`;
+								
+								output += format_breakpoint_status(bp);
+								console.log(output);
+							}
+						});
+					}
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'add' && (flags.symbol || (!parse_breakpoint_location(args[2]) && parse_symbol_location(args[2])))) {
+				// symbols are resolved to the first line of the function body by the extension
+				const symbol_location = flags.symbol ? { file: null, symbol: flags.symbol } : parse_symbol_location(args[2]);
+				const condition = (flags.symbol ? args[2] : args[3]) || null;
+				
+				try {
+					const result = await vdb.extension_client.set_symbol_breakpoint(symbol_location.symbol, symbol_location.file, condition);
+					if (json_output) {
+						print_result(result);
+						break;
 					}
 					
-					// Parse line numbers and condition
-					const line_args = [];
-					let condition = null;
+					const condition_info = condition ? ` with condition: ${condition}` : '';
+					console.log(`Added breakpoint for ${result.symbol} at ${result.file}:${result.breakpoints[0].line}${condition_info}`);
+					
+					for (const bp of result.breakpoints) {
+						const status = bp.verified === null ? ' - pending' : (format_breakpoint_status(bp) || ' - verified');
+						console.log(`  #${bp.id} line ${bp.line}${status}`);
+					}
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'resolve') {
+				try {
+					const result = await vdb.extension_client.resolve_symbol_breakpoints();
+					if (json_output) {
+						print_result(result);
+						break;
+					}
 					
+					if (result.breakpoints.length === 0) {
+						console.log('No symbolic breakpoints set');
+					} else {
+						result.breakpoints.forEach(bp => {
+							const from = `${bp.from.file}:${bp.from.line}`;
+							if (bp.error)
+								console.log(`${bp.symbol}: ${from} - ${bp.error}`);
+							else if (bp.moved)
+								console.log(`${bp.symbol}: moved from ${from} to ${bp.to.file}:${bp.to.line}`);
+							else
+								console.log(`${bp.symbol}: ${from} (unchanged)`);
+						});
+					}
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'add') {
+				const location = parse_breakpoint_location(args[2]);
+				const file = location ? location.file : args[2];
+				const remaining_args = args.slice(3);
+				
+				if (!file || (!location && remaining_args.length === 0)) {
+					report_usage('file and line number required',
+						'Usage: vdb break add <file> <line> [condition]',
+						'       vdb break add <file>:<line>[:<column>] [condition]');
+					return;
+				}
+				
+				// Parse line numbers and condition
+				const line_args = location ? [location.line] : [];
+				let condition = null;
+				
+				if (location) {
+					condition = remaining_args[0] || null;
+				} else {
 					for (const arg of remaining_args) {
 						const parsed = parseInt(arg);
 						if (!isNaN(parsed)) {
@@ -1128,218 +2423,972 @@ async function main() {
 							break;
 						}
 					}
+				}
+				
+				if (line_args.length === 0) {
+					report_usage('at least one line number required',
+						'Usage: vdb break add <file> <line> [condition]');
+					return;
+				}
+				
+				try {
+					const column = location?.column ?? null;
+					const result = await vdb.extension_client.add_breakpoints(file, line_args, condition, column);
+					if (json_output) {
+						print_result(result);
+						break;
+					}
 					
-					if (line_args.length === 0) {
-						console.error('at least one line number required');
-						console.log('Usage: vdb break add <file> <line> [condition]');
-						return;
+					if (condition) {
+						console.log(`Added ${line_args.length} conditional breakpoint(s) to ${result.file} with condition: ${condition}`);
+					} else {
+						console.log(`Added ${line_args.length} breakpoint(s) to ${result.file}`);
 					}
 					
-					try {
-						const result = await vdb.extension_client.add_breakpoints(file, line_args, condition);
-						if (condition) {
-							console.log(`Added ${line_args.length} conditional breakpoint(s) to ${file} with condition: ${condition}`);
-						} else {
-							console.log(`Added ${line_args.length} breakpoint(s) to ${file}`);
+					if (result.columns_supported === false)
+						console.log('warning: the current debug adapter does not support column breakpoints, the whole line is used');
+					
+					// without an active session nothing has been verified yet
+					for (const bp of result.breakpoints || []) {
+						const status = bp.verified === null ? ' - pending' : (format_breakpoint_status(bp) || ' - verified');
+						console.log(`  #${bp.id} line ${bp.column ? `${bp.line}:${bp.column}` : bp.line}${status}`);
+					}
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'enable' || break_action === 'disable' || break_action === 'toggle') {
+				const enabled = break_action === 'toggle' ? 'toggle' : break_action === 'enable';
+				
+				try {
+					if (flags.all && break_action !== 'toggle') {
+						const result = await vdb.extension_client.update_all_breakpoints({ enabled });
+						if (json_output) {
+							print_result(result);
+							break;
+						}
+						
+						console.log(`${enabled ? 'Enabled' : 'Disabled'} ${result.updated} breakpoint(s)`);
+					} else {
+						const location = parse_breakpoint_location(args[2]);
+						if (!location) {
+							const usage = [`Usage: vdb break ${break_action} <file>:<line>`];
+							if (break_action !== 'toggle')
+								usage.push(`       vdb break ${break_action} --all`);
+							
+							report_usage('breakpoint location required', ...usage);
+							return;
 						}
+						
+						const result = await vdb.extension_client.update_breakpoints(location.file, [location.line], { enabled }, location.column);
+						if (json_output) {
+							print_result(result);
+							break;
+						}
+						
+						const action_info = { toggle: 'Toggled', enable: 'Enabled', disable: 'Disabled' }[break_action];
+						console.log(`${action_info} breakpoint at ${format_breakpoint_location(location.file, location.line, location.column)}`);
 					}
-					catch (error) {
-						console.error(error.message);
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'edit') {
+				const location = parse_breakpoint_location(args[2]);
+				const changes = {};
+				
+				if (flags.condition !== undefined)
+					changes.condition = flags.condition;
+				
+				if (flags.hit !== undefined)
+					changes.hitCondition = flags.hit;
+				
+				if (flags.log !== undefined)
+					changes.logMessage = flags.log;
+				
+				if (!location || Object.keys(changes).length === 0) {
+					report_usage('breakpoint location and at least one change required',
+						'Usage: vdb break edit <file>:<line> [--condition=<expr>] [--hit=<count>] [--log=<message>]',
+						'       an empty value (e.g. --condition=) removes the property');
+					return;
+				}
+				
+				try {
+					const result = await vdb.extension_client.update_breakpoints(location.file, [location.line], changes, location.column);
+					if (json_output) {
+						print_result(result);
+						break;
 					}
-				} else if (break_action === 'remove') {
-					const file = args[2];
-					const lines = args.slice(3).map(l => parseInt(l));
 					
-					if (!file) {
-						console.error('file required');
-						console.log('Usage: vdb break remove <file> [line] [line2...]');
-						return;
+					console.log(`Updated breakpoint at ${format_breakpoint_location(location.file, location.line, location.column)}`);
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'func') {
+				const function_name = args[2];
+				const condition = args[3] || null;
+				
+				if (!function_name) {
+					report_usage('function name required',
+						'Usage: vdb break func <name> [condition]');
+					return;
+				}
+				
+				try {
+					const result = await vdb.extension_client.set_function_breakpoint(function_name, condition);
+					if (json_output) {
+						print_result(result);
+						break;
 					}
 					
-					try {
-						const result = await vdb.extension_client.remove_breakpoints(file, lines.length > 0 ? lines : null);
-						if (lines.length > 0) {
-							console.log(`Removed breakpoint(s) at lines ${lines.join(', ')} from ${file}`);
-						} else {
-							console.log(`Removed all breakpoints from ${file}`);
-						}
-					}
-					catch (error) {
-						console.error(error.message);
-					}
-				} else if (break_action === 'watch') {
-					const target = args[2];
-					const access_type = args[3] || 'access';
-					const condition = args[4] || null;
+					const condition_info = condition ? ` with condition: ${condition}` : '';
+					console.log(`Added function breakpoint for ${function_name}()${condition_info}`);
 					
-					if (!target) {
-						console.error('variable or address required');
-						console.log('Usage: vdb break watch <variable/address> [read|write|access]');
-						return;
+					if (result.supported === false)
+						console.log('warning: the current debug adapter does not support function breakpoints');
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'remove' && args[2] === 'func') {
+				const function_name = args[3];
+				if (!function_name) {
+					report_usage('function name required',
+						'Usage: vdb break remove func <name>');
+					return;
+				}
+				
+				try {
+					const result = await vdb.extension_client.clear_function_breakpoint(function_name);
+					if (json_output) {
+						print_result(result);
+						break;
 					}
 					
-					const valid_access_types = ['read', 'write', 'access', 'readWrite'];
-					const mapped_access_type = access_type === 'access' ? 'readWrite' : access_type;
+					console.log(`Removed function breakpoint for ${function_name}()`);
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'remove') {
+				const location = parse_breakpoint_location(args[2]);
+				const file = location ? location.file : args[2];
+				const lines = location ? [location.line] : args.slice(3).map(l => parseInt(l));
+				
+				if (!file) {
+					report_usage('file required',
+						'Usage: vdb break remove <file> [line] [line2...]',
+						'       vdb break remove <file>:<line>[:<column>]');
+					return;
+				}
+				
+				try {
+					const result = await vdb.extension_client.remove_breakpoints(file, lines.length > 0 ? lines : null, location?.column ?? null);
+					if (json_output) {
+						print_result(result);
+						break;
+					}
 					
-					if (!valid_access_types.includes(mapped_access_type)) {
-						console.error(`Invalid access type: ${access_type}. Must be one of: read, write, access`);
+					if (lines.length > 0) {
+						console.log(`Removed breakpoint(s) at lines ${lines.join(', ')} from ${result.file}`);
+					} else {
+						console.log(`Removed all breakpoints from ${result.file}`);
+					}
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'exceptions') {
+				const exception_action = args[2] || 'list';
+				const exception_filter = args[3] || null;
+				const exception_condition = args.slice(4).join(' ') || null;
+				
+				if ((exception_action === 'enable' || exception_action === 'disable') && !exception_filter) {
+					report_usage('exception filter required',
+						'Usage: vdb break exceptions enable <filter> [condition]',
+						'       vdb break exceptions disable <filter>');
+					return;
+				}
+				
+				try {
+					let result;
+					if (exception_action === 'list') {
+						result = await vdb.extension_client.get_exception_filters();
+					} else if (exception_action === 'enable') {
+						result = await vdb.extension_client.enable_exception_filter(exception_filter, exception_condition);
+					} else if (exception_action === 'disable') {
+						result = await vdb.extension_client.disable_exception_filter(exception_filter);
+					} else if (exception_action === 'clear') {
+						result = await vdb.extension_client.clear_exception_filters();
+					} else {
+						report_usage(`Unknown exceptions action: ${exception_action}`);
 						return;
 					}
 					
-					try {
-						const result = await vdb.extension_client.add_data_breakpoint(target, mapped_access_type, condition);
-						console.log(`Added data breakpoint for '${target}' (${access_type})`);
+					if (json_output) {
+						print_result(result);
+						break;
 					}
-					catch (error) {
-						console.error(error.message);
+					
+					if (result.filters.length === 0) {
+						console.log('No exception filters available');
+					} else {
+						result.filters.forEach(filter => {
+							let output = `[${filter.enabled ? 'x' : ' '}] ${filter.filter} - ${filter.label}`;
+							if (filter.condition)
+								output += ` - condition: ${filter.condition}`;
+							else if (filter.supports_condition)
+								output += ' (supports condition)';
+							
+							console.log(output);
+						});
 					}
-				} else {
-					console.error(`Unknown break action: ${break_action}`);
 				}
-				break;
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'watch') {
+				const target = args[2];
+				const access_type = args[3] || 'access';
+				const condition = args[4] || null;
+				
+				if (!target) {
+					report_usage('variable or address required',
+						'Usage: vdb break watch <variable/address> [read|write|access]');
+					return;
+				}
+				
+				const valid_access_types = ['read', 'write', 'access', 'readWrite'];
+				const mapped_access_type = access_type === 'access' ? 'readWrite' : access_type;
 				
-			case 'disasm':
-				let disasm_address = args[1] || null;
-				const disasm_count = args[2] ? parseInt(args[2]) : 10;
+				if (!valid_access_types.includes(mapped_access_type)) {
+					report_usage(`Invalid access type: ${access_type}. Must be one of: read, write, access`);
+					return;
+				}
 				
 				try {
-					// If no address specified, try to get current execution point
-					if (!disasm_address) {
-						const call_stack = await vdb.get_call_stack();
-						if (call_stack && call_stack.length > 0 && call_stack[0].frames && call_stack[0].frames.length > 0) {
-							// Use current frame's address or a fallback
-							const frame = call_stack[0].frames[0];
-							if (frame.instruction_pointer_reference) {
-								disasm_address = frame.instruction_pointer_reference;
-							} else {
-								console.error('no current execution point available - address required');
-								console.log('Usage: vdb disasm <address> [count]');
-								console.log('Example: vdb disasm 0x1234ABCD 20');
-								return;
-							}
-						} else {
-							console.error('no active debug session or current execution point - address required');
-							console.log('Usage: vdb disasm <address> [count]');
-							console.log('Example: vdb disasm 0x1234ABCD 20');
-							return;
+					const result = await vdb.extension_client.add_data_breakpoint(target, mapped_access_type, condition);
+					if (json_output) {
+						print_result(result);
+						break;
+					}
+					
+					console.log(`Added data breakpoint for '${target}' (${access_type})`);
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'save' || break_action === 'load') {
+				const set_target = args[2];
+				if (!set_target) {
+					report_usage('breakpoint set name or file required',
+						`Usage: vdb break ${break_action} <name|file.json>${break_action === 'load' ? ' [--replace]' : ''}`);
+					return;
+				}
+				
+				try {
+					if (break_action === 'save') {
+						const result = await vdb.extension_client.save_breakpoint_set(set_target);
+						if (json_output) {
+							print_result(result);
+							break;
+						}
+						
+						console.log(`Saved ${result.saved} breakpoint(s) to ${result.path}`);
+						
+						if (result.skipped > 0)
+							console.log(`skipped ${result.skipped} data breakpoint(s) that cannot persist across sessions`);
+					} else {
+						const result = await vdb.extension_client.load_breakpoint_set(set_target, !!flags.replace);
+						if (json_output) {
+							print_result(result);
+							break;
 						}
+						
+						const counts = [`${result.source} source`, `${result.function} function`, `${result.data} data`];
+						console.log(`Loaded ${counts.join(', ')} breakpoint(s) from ${result.path}`);
+						
+						if (result.replaced > 0)
+							console.log(`replaced ${result.replaced} existing breakpoint(s)`);
+						
+						if (result.skipped > 0)
+							console.log(`skipped ${result.skipped} data breakpoint(s) - requires an active session with data breakpoint support`);
+					}
+				}
+				catch (error) {
+					report_error(error);
+				}
+			} else if (break_action === 'sets') {
+				try {
+					const result = await vdb.extension_client.list_breakpoint_sets();
+					if (json_output) {
+						print_result(result);
+						break;
 					}
 					
-					const result = await vdb.extension_client.disassemble(disasm_address, disasm_count);
-					if (result.instructions && result.instructions.length > 0) {
-						const formatted = format_disassembly(result.instructions);
-						console.log(formatted);
+					if (result.sets.length === 0) {
+						console.log('No saved breakpoint sets');
 					} else {
-						console.log('No disassembly data available');
+						result.sets.forEach(set => {
+							const count = set.count !== null ? ` (${set.count} breakpoints)` : ' (unreadable)';
+							console.log(`${set.name}${count} - ${set.path}`);
+						});
 					}
 				}
 				catch (error) {
-					console.error(error.message);
+					report_error(error);
+				}
+			} else {
+				report_usage(`Unknown break action: ${break_action}`);
+			}
+			break;
+			
+		case 'disasm':
+			let disasm_address = args[1] || null;
+			const disasm_count = args[2] ? parseInt(args[2]) : 10;
+			
+			try {
+				// If no address specified, try to get the selected frame's execution point
+				if (!disasm_address) {
+					const call_stack = await vdb.get_call_stack(flags.thread);
+					if (call_stack && call_stack.length > 0 && call_stack[0].frames && call_stack[0].frames.length > 0) {
+						const selection = await vdb.get_selection();
+						const frame_index = flags.frame ?? (call_stack[0].thread_id === selection.thread_id ? selection.frame_index : 0);
+						const frame = call_stack[0].frames[frame_index];
+						
+						if (!frame) {
+							report_error(new Error(`frame ${frame_index} not found`), 'not_found');
+							return;
+						}
+						
+						if (frame.instruction_pointer_reference) {
+							disasm_address = frame.instruction_pointer_reference;
+						} else {
+							report_usage('no current execution point available - address required',
+								'Usage: vdb disasm <address> [count]',
+								'Example: vdb disasm 0x1234ABCD 20');
+							return;
+						}
+					} else {
+						report_usage('no active debug session or current execution point - address required',
+							'Usage: vdb disasm <address> [count]',
+							'Example: vdb disasm 0x1234ABCD 20');
+						return;
+					}
+				}
+				
+				const result = await vdb.extension_client.disassemble(disasm_address, disasm_count, 0, flags.thread, flags.frame);
+				if (json_output) {
+					print_result(result);
+					break;
 				}
+				
+				if (result.instructions && result.instructions.length > 0) {
+					const formatted = format_disassembly(result.instructions);
+					console.log(formatted);
+				} else {
+					console.log('No disassembly data available');
+				}
+			}
+			catch (error) {
+				report_error(error);
+			}
+			break;
+			
+		case 'status':
+			const info = await vdb.get_status_info();
+			if (json_output) {
+				print_result(info);
 				break;
+			}
+			
+			console.log(`status=${info.available ? 'available' : 'no_session'}`);
+			console.log(`extension=${info.extension_available ? 'available' : 'not_installed'}`);
+			
+			if (info.available && info.session) {
+				console.log(`session=${info.session.name || info.session.pid || 'unknown'}`);
 				
-			case 'status':
-				const info = await vdb.get_status_info();
-				console.log(`status=${info.available ? 'available' : 'no_session'}`);
-				console.log(`extension=${info.extension_available ? 'available' : 'not_installed'}`);
+				if (info.session.id)
+					console.log(`session_id=${info.session.id}`);
 				
-				if (info.available && info.session) {
-					console.log(`session=${info.session.name || info.session.pid || 'unknown'}`);
-					console.log(`type=${info.session.type || 'unknown'}`);
+				console.log(`type=${info.session.type || 'unknown'}`);
 
-					if (info.session.isRunning !== undefined)
-						console.log(`running=${info.session.isRunning ? 'yes' : 'no'}`);
+				if (info.session.isRunning !== undefined)
+					console.log(`running=${info.session.isRunning ? 'yes' : 'no'}`);
+				
+				if (info.execution) {
+					console.log(`execution=${info.execution.state || 'unknown'}`);
 					
-					if (info.execution) {
-						console.log(`execution=${info.execution.state || 'unknown'}`);
+					if (info.execution.state === 'exited' && info.execution.exit_code !== null)
+						console.log(`exit_code=${info.execution.exit_code}`);
+					
+					if (info.execution.state === 'stopped') {
+						if (info.execution.stop_reason)
+							console.log(`stop_reason=${info.execution.stop_reason}`);
 						
-						if (info.execution.state === 'stopped') {
-							if (info.execution.stop_reason)
-								console.log(`stop_reason=${info.execution.stop_reason}`);
-							
-							if (info.execution.stopped_at_breakpoint && info.execution.stop_location) {
-								const location = info.execution.stop_location;
-								if (location.file && location.line)
-									console.log(`breakpoint=${location.file}:${location.line}`);
+						if (info.execution.stop_description)
+							console.log(`stop_description=${info.execution.stop_description}`);
+						
+						if (info.execution.stop_thread_id !== null)
+							console.log(`thread=${info.execution.stop_thread_id}${info.execution.all_threads_stopped ? ' (all threads stopped)' : ''}`);
+						
+						if (info.execution.hit_breakpoint_ids?.length > 0)
+							console.log(`hit_breakpoints=${info.execution.hit_breakpoint_ids.join(',')}`);
+						
+						if (info.execution.stopped_at_breakpoint && info.execution.stop_location) {
+							const location = info.execution.stop_location;
+							if (location.file && location.line)
+								console.log(`breakpoint=${location.file}:${location.line}`);
 
-								if (location.function)
-									console.log(`function=${location.function}`);
-								
-								try {
-									const breakpoints = await vdb.extension_client.get_all_breakpoints();
-									if (breakpoints.breakpoints) {
-										const matching_bp = breakpoints.breakpoints.find(bp => 
-											bp.file === location.file && bp.line === location.line
-										);
-										if (matching_bp) {
-											if (matching_bp.condition) {
-												console.log(`condition=${matching_bp.condition}`);
-											} else if (matching_bp.hitCondition) {
-												console.log(`hit_condition=${matching_bp.hitCondition}`);
-											} else if (matching_bp.logMessage) {
-												console.log(`log_message=${matching_bp.logMessage}`);
-											}
+							if (location.function)
+								console.log(`function=${location.function}`);
+							
+							try {
+								const breakpoints = await vdb.extension_client.get_all_breakpoints();
+								if (breakpoints.breakpoints) {
+									const matching_bp = breakpoints.breakpoints.find(bp => 
+										bp.file === location.file && bp.line === location.line
+									);
+									if (matching_bp) {
+										if (matching_bp.condition) {
+											console.log(`condition=${matching_bp.condition}`);
+										} else if (matching_bp.hitCondition) {
+											console.log(`hit_condition=${matching_bp.hitCondition}`);
+										} else if (matching_bp.logMessage) {
+											console.log(`log_message=${matching_bp.logMessage}`);
 										}
 									}
-								} catch (error) {
-									// ignore
 								}
-							} else if (info.execution.stop_location) {
-								const location = info.execution.stop_location;
-								if (location.file && location.line)
-									console.log(`location=${location.file}:${location.line}`);
-
-								if (location.function)
-									console.log(`function=${location.function}`);
+							} catch (error) {
+								// ignore
 							}
+						} else if (info.execution.stop_location) {
+							const location = info.execution.stop_location;
+							if (location.file && location.line)
+								console.log(`location=${location.file}:${location.line}`);
+
+							if (location.function)
+								console.log(`function=${location.function}`);
 						}
 					}
 				}
+			}
+			break;
+			
+		default:
+			if (json_output || command !== 'help')
+				report_usage(`Unknown command: ${command}`);
+			if (json_output)
 				break;
+			
+			console.log('Debug Session Management:');
+			console.log('profiles            List available debug configurations and compounds');
+			console.log('start [profile]     Start debugging (profile or compound, folder:profile to disambiguate)');
+			console.log('start [profile] --input <id>=<value> Answer a ${input:id} placeholder');
+			console.log('start [profile] [--args "..."] [--env KEY=VAL] [--cwd <dir>] [--stop-on-entry] [--dry-run]');
+			console.log('                    Start with overrides merged into a copy of the configuration');
+			console.log('start --type=<adapter> --program=<path> Start without a launch.json entry');
+			console.log('start [profile] --wait[=initialized|stopped] [--timeout=<s>] Block until the session is ready or first stops');
+			console.log('sessions            List debug sessions (* marks the one focused in VSCode)');
+			console.log('stop                Stop the debug session');
+			console.log('restart             Restart the debug session with the same configuration');
+			console.log('terminate           Ask the debuggee to terminate gracefully');
+			console.log('detach [--keep-running] Detach without terminating the debuggee');
+			console.log('status              Check debug and extension status (default)');
+			console.log('instances           List the bridges of all VSCode windows (* marks the one used from here)');
+			console.log('repl                Run commands over one connection, with history, completion and live events');
+			console.log('run <script.vdb>    Run the commands of a script, with expect/assert checks (exit 1: check failed, 2: error)');
+			console.log('wait [events] [timeout] Wait for debug events (comma-separated)');
+			console.log('events              Monitor all DAP events in real-time');
+			console.log('output [--follow] [--category=<c>] [--limit=<n>] Show (and stream) debuggee output');
+			console.log('');
+			console.log('Breakpoint Management:');
+			console.log('break list          List all breakpoints');
+			console.log('break add <file> <line> [condition]  Add breakpoint (with optional condition)');
+			console.log('break add <file>:<line>[:<col>] [condition] Add breakpoint (column requires adapter support)');
+			console.log('break add <file>:<function> [condition] Add breakpoint at the first line of a function');
+			console.log('break add --symbol=<function> [condition] Same, searching the whole workspace (e.g. Parser::parse)');
+			console.log('break resolve       Re-resolve symbolic breakpoints after edits');
+			console.log('break remove <file> [line] [line2...] Remove breakpoints');
+			console.log('break func <name> [condition]        Add function breakpoint (with optional condition)');
+			console.log('break remove func <name>             Remove function breakpoint');
+			console.log('break enable|disable|toggle <file>:<line> Enable or disable a breakpoint');
+			console.log('break enable|disable --all           Enable or disable every breakpoint');
+			console.log('break edit <file>:<line> [--condition=<expr>] [--hit=<count>] [--log=<message>] Edit a breakpoint');
+			console.log('break watch <var/addr> [read|write|access] Add data breakpoint/watchpoint');
+			console.log('break exceptions    List exception filters of the debug adapter');
+			console.log('break exceptions enable|disable <filter> [condition] Toggle an exception filter');
+			console.log('break exceptions clear Disable all exception filters');
+			console.log('break save <name|file.json>          Save all breakpoints as a named set (or to a file)');
+			console.log('break load <name|file.json> [--replace] Load a breakpoint set (merges unless --replace)');
+			console.log('break sets          List saved breakpoint sets');
+			console.log('');
+			console.log('Thread Management:');
+			console.log('threads [--detailed] List all threads (with optional state and location info)');
+			console.log('thread select <id>  Switch active thread context (persists between commands)');
+			console.log('thread current      Show currently selected thread');
+			console.log('frame [current]     Show currently selected frame');
+			console.log('frame select <n>    Switch active frame of the selected thread');
+			console.log('up [n] / down [n]   Move selection towards callers / callees');
+			console.log('');
+			console.log('Debug Information (requires active session):');
+			console.log('var <name|path> [--thread=<id>] [--frame=<n>]  Get variable value, e.g. person.address.city, arr[3], *ptr');
+			console.log('vars [--thread=<id>] [--frame=<n>] [--depth=<n>] List all variables (optionally expanding members)');
+			console.log('eval <expression> [--frame=<n>] Evaluate expression');
+			console.log('set <name|path> <value>     Modify a variable (prints the value reported by the adapter)');
+			console.log('set-expr <expression> <value> Assign a value to an assignable expression');
+			console.log('exception [--thread=<id>] Show the exception the program is stopped on');
+			console.log('mem <addr> [sz]     Read memory at address');
+			console.log('disasm [addr] [cnt] [--frame=<n>] Show disassembly at address (or current location)');
+			console.log('stack [--selected]  Show call stack of all threads (or only the selected one)');
+			console.log('registers [--frame=<n>] Show CPU registers');
+			console.log('');
+			console.log('Debug Control (requires active session):');
+			console.log('continue [--single-thread]  Continue execution (optionally only current thread)');
+			console.log('step [--single-thread]      Step over (optionally only current thread)');
+			console.log('stepin [--single-thread]    Step in (optionally only current thread)');
+			console.log('stepout [--single-thread]   Step out (optionally only current thread)');
+			console.log('pause [--single-thread]     Pause execution (optionally only current thread)');
+			console.log('');
+			console.log('Options:');
+			console.log('--instance=<id|name> Connect to the bridge of another window (default: the one whose workspace contains the cwd)');
+			console.log('--port=<port>       Connect to extension on custom port (default: 3579)');
+			console.log('--socket=<path>     Connect to a bridge using vdb.transport "socket" (unix socket or named pipe)');
+			console.log('--host=<host>       Connect to extension on custom host (default: localhost)');
+			console.log('--session=<id|name> Target a specific debug session (default: the one focused in VSCode)');
+			console.log('--token=<token>     Token of the extension (default: $VDB_TOKEN, then the instance token, then ~/.vdb/token)');
+			console.log('--json              Print one JSON document per command, events as one JSON object per line');
+	}
+}
+
+// connection options are fixed for the whole repl or script
+function has_connection_options(parsed) {
+	return parsed.port !== null || parsed.host !== null || !!parsed.socket || !!parsed.instance || !!parsed.session || !!parsed.token;
+}
+
+const REPL_HISTORY_FILE = path.join(BRIDGE_DIRECTORY, 'history');
+const REPL_HISTORY_SIZE = 1000;
+
+const REPL_COMMANDS = [
+	'break', 'continue', 'detach', 'disasm', 'down', 'eval', 'exception', 'exit', 'frame', 'help',
+	'instances', 'mem', 'output', 'pause', 'profiles', 'registers', 'restart', 'sessions', 'set',
+	'set-expr', 'stack', 'start', 'status', 'step', 'stepin', 'stepout', 'stop', 'terminate',
+	'thread', 'threads', 'up', 'var', 'vars', 'wait'
+];
+
+const REPL_ACTIONS = {
+	break: ['add', 'disable', 'edit', 'enable', 'exceptions', 'func', 'list', 'load', 'remove', 'resolve', 'save', 'sets', 'toggle', 'watch'],
+	thread: ['current', 'select'],
+	frame: ['current', 'select']
+};
+
+// break actions taking a <file>:<line> of an existing breakpoint
+const REPL_LOCATION_ACTIONS = ['disable', 'edit', 'enable', 'remove', 'toggle'];
+const REPL_VARIABLE_COMMANDS = ['eval', 'set', 'set-expr', 'var'];
+
+// the newest entry comes first in readline's history
+function load_repl_history() {
+	try {
+		const lines = fs.readFileSync(REPL_HISTORY_FILE, 'utf8').split('\n').filter(Boolean);
+		if (lines.length > REPL_HISTORY_SIZE)
+			fs.writeFileSync(REPL_HISTORY_FILE, lines.slice(-REPL_HISTORY_SIZE).join('\n') + '\n', { mode: 0o600 });
+		
+		return lines.slice(-REPL_HISTORY_SIZE).reverse();
+	} catch (error) {
+		return [];
+	}
+}
+
+function append_repl_history(line) {
+	try {
+		fs.mkdirSync(BRIDGE_DIRECTORY, { recursive: true, mode: 0o700 });
+		fs.appendFileSync(REPL_HISTORY_FILE, line + '\n', { mode: 0o600 });
+	} catch (error) {
+		// history is a convenience, the repl works without it
+	}
+}
+
+// completion candidates come from the extension, failures (no session) complete nothing
+async function get_repl_completions(vdb, words) {
+	const [command, action] = words;
+	
+	if (words.length === 1)
+		return REPL_COMMANDS;
+	
+	if (words.length === 2 && REPL_ACTIONS[command])
+		return REPL_ACTIONS[command];
+	
+	try {
+		if (command === 'break' && words.length === 3 && REPL_LOCATION_ACTIONS.includes(action)) {
+			const result = await vdb.extension_client.get_all_breakpoints();
+			return result.breakpoints.filter(bp => bp.type === 'source').map(bp => format_breakpoint_location(bp.file, bp.line, bp.column));
+		}
+		
+		const is_variable = (words.length === 2 && REPL_VARIABLE_COMMANDS.includes(command)) || (command === 'break' && action === 'watch' && words.length === 3);
+		if (!is_variable)
+			return ARRAY_EMPTY;
+		
+		// members are completed one level at a time: person.<tab>, person.address.<tab>
+		const word = words[words.length - 1];
+		const separator = word.lastIndexOf('.');
+		
+		if (separator === -1)
+			return Object.keys(await vdb.get_all_variables());
+		
+		const parent = word.substring(0, separator);
+		const variable = await vdb.get_variable(parent, null, null, 1);
+		return Object.keys(variable.children || {}).filter(name => /^[A-Za-z_$][\w$]*$/.test(name)).map(name => `${parent}.${name}`);
+	} catch (error) {
+		return ARRAY_EMPTY;
+	}
+}
+
+// one connection for every command, so thread and frame selection, --session
+// and the flags the repl was started with apply until it is left
+async function run_repl(vdb, repl_flags) {
+	let busy = false;
+	
+	const rl = readline.createInterface({
+		input: process.stdin,
+		output: process.stdout,
+		prompt: 'vdb> ',
+		history: load_repl_history(),
+		historySize: REPL_HISTORY_SIZE,
+		removeHistoryDuplicates: true,
+		completer: (line, callback) => {
+			const words = line.trimStart().split(/\s+/);
+			const word = words[words.length - 1];
+			
+			get_repl_completions(vdb, words).then(candidates => {
+				callback(null, [candidates.filter(candidate => candidate.startsWith(word)), word]);
+			});
+		}
+	});
+	
+	// events arriving at the prompt are printed above it without losing the typed input
+	const print_event = (text) => {
+		if (busy) {
+			console.log(text);
+			return;
+		}
+		
+		readline.clearLine(process.stdout, 0);
+		readline.cursorTo(process.stdout, 0);
+		console.log(text);
+		rl.prompt(true);
+	};
+	
+	vdb.extension_client.on_namespace('dap', (event_name, data) => {
+		if (repl_flags.json)
+			print_event(format_json_event(event_name, data));
+		else if (event_name === 'output')
+			print_event(data.output.replace(/\n$/, ''));
+		else
+			print_event(format_event(event_name, data));
+	});
+	
+	rl.on('SIGINT', () => {
+		// a running command cannot be cancelled, ctrl+c leaves like it leaves vdb
+		if (busy) {
+			vdb.extension_client.disconnect();
+			process.exit(130);
+		}
+		
+		// like a shell, ctrl+c drops the current line and ctrl+d leaves
+		rl.write(null, { ctrl: true, name: 'u' });
+		process.stdout.write('^C\n');
+		rl.prompt();
+	});
+	
+	if (!repl_flags.json)
+		console.log('vdb repl - type help for commands, exit or ctrl+d to leave');
+	
+	rl.prompt();
+	
+	for await (const line of rl) {
+		const words = split_command_line(line.trim());
+		if (words.length === 0) {
+			rl.prompt();
+			continue;
+		}
+		
+		append_repl_history(line.trim());
+		
+		if (words[0] === 'exit' || words[0] === 'quit')
+			break;
+		
+		const parsed = parse_args(words);
+		const { args, flags } = parsed;
+		const command = args[0] || 'status';
+		const { report_usage } = create_reporter(command, !!repl_flags.json);
+		
+		if (has_connection_options(parsed)) {
+			report_usage('connection options apply to the whole repl, start it with them instead',
+				'Usage: vdb repl [--session=<id|name>] [--instance=<id|name>] [--socket=<path>] [--port=<port>] [--host=<host>]');
+		} else if (command === 'repl') {
+			report_usage('already in the repl');
+		} else {
+			busy = true;
+			try {
+				await run_command(vdb, command, args, { ...repl_flags, ...flags }, true);
+			} catch (error) {
+				create_reporter(command, !!repl_flags.json).report_error(error);
+			}
+			busy = false;
+		}
+		
+		rl.prompt();
+	}
+	
+	rl.close();
+	vdb.extension_client.off_namespace('dap');
+	
+	// errors of single commands are reported inline, they don't fail the repl
+	process.exitCode = 0;
+}
+
+// exit codes of vdb run, so ci can tell a failed check from a broken setup
+const SCRIPT_EXIT_FAILED = 1;
+const SCRIPT_EXIT_ERROR = 2;
+
+// errors that say nothing about the debuggee, an expectation failing with them is not a failed check
+const INFRASTRUCTURE_ERROR_CODES = ['connection_failed', 'extension_unavailable', 'no_session', 'timeout'];
+
+// falsy results as the common debug adapters format them
+const FALSY_VALUES = ['', 'false', 'False', 'FALSE', 'null', 'NULL', 'nullptr', 'nil', 'None', 'undefined', '""', "''"];
+
+function is_truthy_value(value) {
+	const text = String(value ?? '').trim();
+	return !FALSY_VALUES.includes(text) && !/^(0x)?0+(\.0+)?$/.test(text);
+}
+
+// ${name} or ${name.path[0].to} of a result captured with let, objects are inserted as JSON.
+// names that were never captured are left alone, e.g. ${workspaceFolder} for launch overrides
+function substitute_script_variables(line, variables) {
+	return line.replace(/\$\{([A-Za-z_]\w*)((?:\.\w+|\[\d+\])*)\}/g, (match, name, accessors) => {
+		if (!Object.hasOwn(variables, name))
+			return match;
+		
+		let value = variables[name];
+		for (const [, key, index] of accessors.matchAll(/\.(\w+)|\[(\d+)\]/g))
+			value = value?.[key ?? Number(index)];
+		
+		if (value === undefined)
+			throw new Error(`${match} is undefined`);
+		
+		return typeof value === 'object' ? JSON.stringify(value) : String(value);
+	});
+}
+
+// one vdb command per line, plus:
+//   let <name> = <command>          capture the result (as printed by --json) for ${name...}
+//   expect|assert <expression>      evaluate in the selected frame, assert stops the script
+//   expect-output|assert-output <text> check the captured program output
+// a wait that times out fails like assert, any other error stops with SCRIPT_EXIT_ERROR
+async function run_script(vdb, script_file, script_flags) {
+	const json_output = !!script_flags.json;
+	const script_name = path.basename(script_file);
+	const variables = {};
+	
+	let passed = 0;
+	let failed = 0;
+	
+	const finish = (exit_code) => {
+		if (json_output)
+			create_reporter('run', true).print_result({ script: script_file, passed, failed, exit_code });
+		else
+			console.log(`${passed} passed, ${failed} failed`);
+		
+		process.exitCode = exit_code;
+	};
+	
+	let source;
+	try {
+		source = fs.readFileSync(script_file, 'utf8');
+	} catch (error) {
+		create_reporter('run', json_output).report_error(new Error(`Failed to read script ${script_file}: ${error.message}`), 'not_found');
+		process.exitCode = SCRIPT_EXIT_ERROR;
+		return;
+	}
+	
+	// the events of a continue or step usually arrive before the next line waits for them
+	const recent_events = [];
+	vdb.extension_client.on_namespace('dap', (event_name, data) => {
+		recent_events.push({ event: event_name, data });
+	});
+	
+	const lines = source.split(/\r?\n/);
+	for (let index = 0; index < lines.length; index++) {
+		const text = lines[index].trim();
+		if (!text || text.startsWith('#'))
+			continue;
+		
+		const location = `${script_name}:${index + 1}`;
+		if (!json_output)
+			console.log(`${location}> ${text}`);
+		
+		let line;
+		try {
+			line = substitute_script_variables(text, variables);
+		} catch (error) {
+			create_reporter('run', json_output).report_error(new Error(`${location}: ${error.message}`), 'invalid_arguments');
+			return finish(SCRIPT_EXIT_ERROR);
+		}
+		
+		const check = /^(expect|assert)(-output)?\s+(.+)$/.exec(line);
+		if (check) {
+			const [, kind, output_check, target] = check;
+			const reporter = create_reporter(`${kind}${output_check ?? ''}`, json_output);
+			let value;
+			let ok;
+			let evaluate_error = null;
+			
+			try {
+				if (output_check) {
+					const expected = split_command_line(target).join(' ');
+					const result = await vdb.extension_client.get_output();
+					ok = result.entries.map(entry => entry.output).join('').includes(expected);
+					value = expected;
+				} else {
+					const result = await vdb.evaluate_expression(target, script_flags.thread, script_flags.frame);
+					ok = is_truthy_value(result.value);
+					value = result.value;
+				}
+			} catch (error) {
+				if (INFRASTRUCTURE_ERROR_CODES.includes(get_error_code(error))) {
+					reporter.report_error(new Error(`${location}: ${error.message}`), get_error_code(error));
+					return finish(SCRIPT_EXIT_ERROR);
+				}
+				
+				// an expression the adapter cannot evaluate fails the check
+				ok = false;
+				evaluate_error = error.message;
+			}
+			
+			if (ok) {
+				passed++;
+				if (json_output)
+					reporter.print_result({ line: index + 1, expression: target, value, passed: true });
+				else
+					console.log('  ok');
+				continue;
+			}
+			
+			failed++;
+			let description = `${target} is ${value}`;
+			if (evaluate_error)
+				description = `${target} could not be evaluated: ${evaluate_error}`;
+			else if (output_check)
+				description = `output does not contain '${value}'`;
+			
+			reporter.report_error(new Error(`${location}: ${kind} failed - ${description}`), 'assertion_failed');
+			
+			if (kind === 'assert')
+				return finish(SCRIPT_EXIT_FAILED);
+			continue;
+		}
+		
+		const capture = /^let\s+([A-Za-z_]\w*)\s*=\s*(.+)$/.exec(line);
+		const parsed = parse_args(split_command_line(capture ? capture[2] : line));
+		const command = parsed.args[0] || 'status';
+		
+		const on_result = capture ? (data) => {
+			variables[capture[1]] = data;
+			if (!json_output)
+				console.log(`  ${capture[1]}=${JSON.stringify(data)}`);
+		} : null;
+		
+		const reporter = create_reporter(command, json_output, on_result);
+		
+		if (has_connection_options(parsed)) {
+			reporter.report_usage(`${location}: connection options apply to the whole script, pass them to vdb run instead`);
+			return finish(SCRIPT_EXIT_ERROR);
+		}
+		
+		if (command === 'run' || command === 'repl') {
+			reporter.report_usage(`${location}: ${command} cannot be used in a script`);
+			return finish(SCRIPT_EXIT_ERROR);
+		}
+		
+		if (command === 'wait') {
+			const wait_events = (parsed.args[1] || 'stopped').split(',').map(event => event.trim().replace(/^dap:/, ''));
+			const event_index = recent_events.findIndex(entry => wait_events.includes(entry.event));
+			
+			if (event_index !== -1) {
+				const { event, data } = recent_events[event_index];
+				recent_events.splice(0, event_index + 1);
 				
-			default:
-				console.log('Debug Session Management:');
-				console.log('profiles            List available debug configurations');
-				console.log('start [profile]     Start debugging (optionally specify profile name)');
-				console.log('status              Check debug and extension status (default)');
-				console.log('wait [events] [timeout] Wait for debug events (comma-separated)');
-				console.log('events              Monitor all DAP events in real-time');
-				console.log('');
-				console.log('Breakpoint Management:');
-				console.log('break list          List all breakpoints');
-				console.log('break add <file> <line> [condition]  Add breakpoint (with optional condition)');
-				console.log('break remove <file> [line] [line2...] Remove breakpoints');
-				console.log('break watch <var/addr> [read|write|access] Add data breakpoint/watchpoint');
-				console.log('');
-				console.log('Thread Management:');
-				console.log('threads [--detailed] List all threads (with optional state and location info)');
-				console.log('thread select <id>  Switch active thread context');
-				console.log('thread current      Show currently selected thread');
-				console.log('');
-				console.log('Debug Information (requires active session):');
-				console.log('var <name> [--thread=<id>]  Get variable value (optionally from specific thread)');
-				console.log('vars [--thread=<id>]        List all variables (optionally from specific thread)');
-				console.log('eval <expression>   Evaluate expression');
-				console.log('mem <addr> [sz]     Read memory at address');
-				console.log('disasm [addr] [cnt] Show disassembly at address (or current location)');
-				console.log('stack               Show call stack');
-				console.log('registers           Show CPU registers');
-				console.log('');
-				console.log('Debug Control (requires active session):');
-				console.log('continue [--single-thread]  Continue execution (optionally only current thread)');
-				console.log('step [--single-thread]      Step over (optionally only current thread)');
-				console.log('stepin [--single-thread]    Step in (optionally only current thread)');
-				console.log('stepout [--single-thread]   Step out (optionally only current thread)');
-				console.log('pause [--single-thread]     Pause execution (optionally only current thread)');
-				console.log('');
-				console.log('Options:');
-				console.log('--port=<port>       Connect to extension on custom port (default: 3579)');
-				console.log('--host=<host>       Connect to extension on custom host (default: localhost)');
+				if (reporter.structured)
+					reporter.print_event(event, data);
+				else
+					console.log(`event occurred: ${format_event(event, data)}`);
+				continue;
+			}
+		} else {
+			recent_events.length = 0;
+		}
+		
+		await run_command(vdb, command, parsed.args, { ...script_flags, ...parsed.flags }, true, reporter);
+		
+		if (command === 'wait')
+			recent_events.length = 0;
+		
+		const failure = reporter.get_failure();
+		if (failure && command === 'wait' && failure.code === 'timeout') {
+			failed++;
+			return finish(SCRIPT_EXIT_FAILED);
+		}
+		
+		if (failure)
+			return finish(SCRIPT_EXIT_ERROR);
+	}
+	
+	finish(failed > 0 ? SCRIPT_EXIT_FAILED : 0);
+}
+
+async function main() {
+	const raw_args = process.argv.slice(2);
+	const { port, host, socket, instance, session, token, args, flags } = parse_args(raw_args);
+	const command = args[0] || 'status';
+	const { report_error } = create_reporter(command, !!flags.json);
+	
+	let vdb = null;
+	
+	try {
+		if (command !== 'instances') {
+			const address = resolve_bridge_address(port, host, socket, instance);
+			// --token and $VDB_TOKEN win over the instance's own token, ~/.vdb/token is the last resort
+			const bridge_token = token ?? process.env.VDB_TOKEN ?? address.token ?? null;
+			vdb = create_vscode_debug_bridge(address.port, address.host, session, bridge_token, address.socket);
+			
+			const extension_available = await vdb.initialize();
+			
+			if (!extension_available && command !== 'status') {
+				report_error(new Error('extension not available - limited capabilities'), 'connection_failed');
+				if (command === 'run')
+					process.exitCode = SCRIPT_EXIT_ERROR;
+				return;
+			}
 		}
+		
+		if (command === 'repl')
+			await run_repl(vdb, flags);
+		else if (command === 'run' && args[1])
+			await run_script(vdb, args[1], flags);
+		else if (command === 'run') {
+			create_reporter(command, !!flags.json).report_usage('script file required', 'Usage: vdb run <script.vdb>');
+			process.exitCode = SCRIPT_EXIT_ERROR;
+		} else
+			await run_command(vdb, command, args, flags);
 	}
 	catch (error) {
-		console.error('error:', error.message);
-		process.exit(1);
+		if (flags.json)
+			report_error(error);
+		else
+			console.error('error:', error.message);
+		
+		process.exitCode = command === 'run' ? SCRIPT_EXIT_ERROR : 1;
 	} finally {
 		if (vdb?.extension_client?.connected)
 			vdb.extension_client.disconnect();
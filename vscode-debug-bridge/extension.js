@@ -1,9 +1,23 @@
 const vscode = require('vscode');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const { AsyncLocalStorage } = require('async_hooks');
 const { WebSocketServer } = require('ws');
 
 let wss = null;
-let current_session = null;
-let debug_state = {
+let socket_server = null;
+
+// registry of every running debug session by id: { session, parent_id, state, started_at }.
+// breakpoint changes are pushed to all of them, commands target one through --session
+const debug_sessions = new Map();
+
+// carries the session a command targets through everything it awaits
+const command_context = new AsyncLocalStorage();
+
+const create_debug_state = () => ({
 	variables: {},
 	call_stack: [],
 	threads: [],
@@ -15,11 +29,252 @@ let debug_state = {
 	stop_reason: null,
 	stop_location: null,
 	stopped_at_breakpoint: false,
-	supports_data_breakpoints: false
+	supports_data_breakpoints: false,
+	selected_thread_id: null,
+	selected_frame_index: 0,
+	stop_description: null,
+	stop_thread_id: null,
+	all_threads_stopped: false,
+	hit_breakpoint_ids: [],
+	// bumped by every stop and resume, in the order the adapter sent them
+	execution_sequence: 0,
+	exit_code: null,
+	exception_filters: [],
+	exception_filter_options: [],
+	// signature of the last setBreakpoints sent for each source, by vscode or by us
+	sent_breakpoints: new Map()
+});
+
+// codes clients can tell failures apart by, anything else is reported without one
+const ERROR_CODES = new Set(['no_session', 'unsupported', 'ambiguous', 'not_found', 'invalid_arguments', 'timeout', 'command_failed']);
+
+const create_error = (code, message) => Object.assign(new Error(message), { code });
+
+// the session named by --session, otherwise the one focused in vscode
+const get_debug_session = () => command_context.getStore()?.session ?? vscode.debug.activeDebugSession;
+
+// sessions that are not registered (yet) get a throwaway state
+const get_debug_state = (session = get_debug_session()) => (session && debug_sessions.get(session.id)?.state) || create_debug_state();
+
+const get_session_ancestry = (session) => {
+	const names = [];
+	for (let parent = session.parentSession; parent; parent = parent.parentSession)
+		names.unshift(parent.name);
+	
+	return names;
+};
+
+// ids match exactly, names also match case-insensitively as long as they are unique
+const find_debug_session = (target) => {
+	const by_id = debug_sessions.get(target);
+	if (by_id)
+		return by_id.session;
+	
+	const sessions = [...debug_sessions.values()].map(entry => entry.session);
+	let matches = sessions.filter(session => session.name === target);
+	if (matches.length === 0)
+		matches = sessions.filter(session => session.name.toLowerCase() === target.toLowerCase());
+	
+	if (matches.length === 0)
+		throw create_error('not_found', `Debug session '${target}' not found`);
+	
+	if (matches.length > 1)
+		throw create_error('ambiguous', `Ambiguous session name '${target}', use one of the ids: ${matches.map(session => session.id).join(', ')}`);
+	
+	return matches[0];
+};
+
+const get_sessions = () => {
+	const active = vscode.debug.activeDebugSession;
+	
+	return [...debug_sessions.values()].map(({ session, parent_id, state, started_at }) => ({
+		id: session.id,
+		name: session.name,
+		type: session.type,
+		request: session.configuration?.request || null,
+		parent_id,
+		parents: get_session_ancestry(session),
+		active: session.id === active?.id,
+		execution_state: state.execution_state,
+		started_at
+	}));
 };
 
 const clients = new Set();
 
+const MAX_OUTPUT_ENTRIES = 1000;
+const MAX_VARIABLE_CHILDREN = 100;
+const MAX_VARIABLE_NODES = 1000;
+
+// matches `name`, `.name`, `->name` and `[index]` segments of a variable path
+const VARIABLE_PATH_SEGMENT = /(\.|->)?([^.[\]]+?)(?=\.|->|\[|$)|\[([^\]]*)\]/y;
+
+const create_ring_buffer = (capacity) => {
+	const entries = new Array(capacity);
+	let start = 0;
+	let size = 0;
+	
+	return {
+		push(entry) {
+			entries[(start + size) % capacity] = entry;
+			if (size < capacity)
+				size++;
+			else
+				start = (start + 1) % capacity;
+		},
+		
+		clear() {
+			start = 0;
+			size = 0;
+		},
+		
+		retain(predicate) {
+			const kept = this.to_array().filter(predicate);
+			this.clear();
+			for (const entry of kept)
+				this.push(entry);
+		},
+		
+		to_array() {
+			const result = [];
+			for (let i = 0; i < size; i++)
+				result.push(entries[(start + i) % capacity]);
+			
+			return result;
+		}
+	};
+};
+
+const output_buffer = create_ring_buffer(MAX_OUTPUT_ENTRIES);
+let output_sequence = 0;
+
+// capabilities reported by each adapter in its `initialize` response,
+// vscode does not expose these through the extension API
+const session_capabilities = new Map();
+
+const get_capabilities = (session) => {
+	return session_capabilities.get(session?.id) || {};
+};
+
+// short numeric ids keyed by breakpoint location, so they survive the
+// breakpoint objects being replaced when edited
+const breakpoint_ids = new Map();
+let breakpoint_id_counter = 0;
+
+// adapter-reported state (verified, actual line, message) per session, keyed the same way.
+// adapters number their breakpoints themselves, so adapter ids only mean something per session
+const breakpoint_status = new Map();
+
+// setBreakpoints/setFunctionBreakpoints requests awaiting their response, keyed by `session:seq`
+const pending_breakpoint_requests = new Map();
+
+// symbol (and optional file) a source breakpoint was resolved from, keyed by its source key
+const symbol_origins = new Map();
+
+// set while the bridge swaps breakpoints itself, so the removal half doesn't prune origins it re-adds
+let replacing_breakpoints = false;
+
+const get_source_breakpoint_key = (path, line, column = null) =>
+	`source:${vscode.Uri.file(path).fsPath}:${line}${column ? `:${column}` : ''}`;
+const get_function_breakpoint_key = (name) => `function:${name}`;
+const get_data_breakpoint_key = (data_id) => `data:${data_id}`;
+
+const get_breakpoint_id = (key) => {
+	if (!breakpoint_ids.has(key))
+		breakpoint_ids.set(key, ++breakpoint_id_counter);
+	
+	return breakpoint_ids.get(key);
+};
+
+const get_session_breakpoint_status = (session) => {
+	if (!breakpoint_status.has(session.id))
+		breakpoint_status.set(session.id, new Map());
+	
+	return breakpoint_status.get(session.id);
+};
+
+const record_breakpoint_results = (session, keys, results = []) => {
+	const statuses = get_session_breakpoint_status(session);
+	
+	keys.forEach((key, index) => {
+		const result = results[index];
+		if (!result)
+			return;
+		
+		statuses.set(key, {
+			adapter_id: result.id ?? null,
+			verified: !!result.verified,
+			line: result.line ?? null,
+			column: result.column ?? null,
+			message: result.message || null
+		});
+	});
+};
+
+const clear_breakpoint_status = (session, prefix) => {
+	const statuses = get_session_breakpoint_status(session);
+	
+	for (const key of statuses.keys()) {
+		if (key.startsWith(prefix))
+			statuses.delete(key);
+	}
+};
+
+// the command's session answers first, breakpoints it has no status for (e.g. a launcher
+// session in front of the one running the code) take what another session reported
+const find_breakpoint_status = (key, session) => {
+	const own = session ? breakpoint_status.get(session.id)?.get(key) : null;
+	if (own)
+		return own;
+	
+	const reported = [...breakpoint_status.values()].map(statuses => statuses.get(key)).filter(Boolean);
+	return reported.find(status => status.verified) || reported[0] || null;
+};
+
+const get_breakpoint_status_fields = (key) => {
+	const status = find_breakpoint_status(key, get_debug_session());
+	
+	// null means the breakpoint has not been sent to an adapter yet
+	return {
+		id: get_breakpoint_id(key),
+		verified: status ? status.verified : null,
+		actual_line: status?.line ?? null,
+		message: status?.message || null
+	};
+};
+
+const find_adapter_breakpoint = (session, adapter_id) => {
+	for (const [key, status] of breakpoint_status.get(session.id) || []) {
+		if (status.adapter_id === adapter_id)
+			return { key, status };
+	}
+	
+	return null;
+};
+
+const handle_breakpoint_changed = (session, breakpoint) => {
+	const match = breakpoint?.id !== undefined ? find_adapter_breakpoint(session, breakpoint.id) : null;
+	if (!match)
+		return null;
+	
+	const { key, status } = match;
+	breakpoint_status.get(session.id).set(key, {
+		...status,
+		verified: breakpoint.verified ?? status.verified,
+		line: breakpoint.line ?? status.line,
+		column: breakpoint.column ?? status.column,
+		message: breakpoint.message ?? status.message
+	});
+	
+	return get_breakpoint_id(key);
+};
+
+// stopped events name the adapter's ids, reported as the ids break list shows
+const get_hit_breakpoint_ids = (session, adapter_ids = []) => adapter_ids
+	.map(adapter_id => find_adapter_breakpoint(session, adapter_id))
+	.filter(Boolean)
+	.map(({ key }) => get_breakpoint_id(key));
+
 const broadcast_event = (event_type, data) => {
 	const message = JSON.stringify({
 		type: 'event',
@@ -39,12 +294,13 @@ const broadcast_event = (event_type, data) => {
 	});
 };
 
-const send_response = (client, id, success, data = null, error = null) => {
+const send_response = (client, id, success, data = null, error = null, code = null) => {
 	const response = {
 		id,
 		success,
 		data: success ? data : null,
-		error: success ? null : error
+		error: success ? null : error,
+		code: success ? null : code
 	};
 	
 	try {
@@ -54,32 +310,135 @@ const send_response = (client, id, success, data = null, error = null) => {
 	}
 };
 
-const send_error = (client, id, error_message) => {
-	send_response(client, id, false, null, error_message);
+const send_error = (client, id, error_message, code = null) => {
+	send_response(client, id, false, null, error_message, code);
+};
+
+// selection persists across client connections so that one-shot CLI
+// invocations (`vdb thread select` followed by `vdb var`) share context
+const resolve_thread_id = async (debug_session, thread_id = null) => {
+	if (thread_id)
+		return thread_id;
+	
+	const debug_state = get_debug_state(debug_session);
+	const threads = await debug_session.customRequest('threads');
+	if (!threads?.threads?.length)
+		throw create_error('not_found', 'No threads found');
+	
+	const selected = threads.threads.find(t => t.id === debug_state.selected_thread_id);
+	return selected ? selected.id : threads.threads[0].id;
 };
 
-const get_variables = async (thread_id = null) => {
-	if (!current_session)
-		throw new Error('No active debug session');
+// frame index is only honoured for the selected thread, other threads
+// start from their innermost frame
+const resolve_frame = async (debug_session, thread_id = null, frame_index = null) => {
+	thread_id = await resolve_thread_id(debug_session, thread_id);
+	const debug_state = get_debug_state(debug_session);
+	
+	if (frame_index === null || frame_index === undefined)
+		frame_index = thread_id === debug_state.selected_thread_id ? debug_state.selected_frame_index : 0;
 	
-	const debug_session = vscode.debug.activeDebugSession;
+	const stack_trace = await debug_session.customRequest('stackTrace', { threadId: thread_id });
+	const frames = stack_trace.stackFrames || [];
+	
+	if (!frames.length)
+		throw create_error('not_found', 'No stack frames found');
+	
+	const frame = frames[frame_index];
+	if (!frame)
+		throw create_error('not_found', `Frame ${frame_index} not found. Thread ${thread_id} has ${frames.length} frame(s)`);
+	
+	return { thread_id, frame_index, frame, frame_count: frames.length };
+};
+
+const get_selection = async () => {
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session found');
+		throw create_error('no_session', 'No active debug session');
+	
+	const debug_state = get_debug_state(debug_session);
+	
+	const threads = await debug_session.customRequest('threads');
+	const thread = threads?.threads?.find(t => t.id === debug_state.selected_thread_id) || null;
 	
-	// Use provided thread_id or default to first thread
-	if (!thread_id) {
-		const threads = await debug_session.customRequest('threads');
-		if (!threads?.threads?.length)
-			throw new Error('No threads found');
-		thread_id = threads.threads[0].id;
+	// selected thread has exited since it was chosen
+	if (!thread && debug_state.selected_thread_id !== null) {
+		debug_state.selected_thread_id = null;
+		debug_state.selected_frame_index = 0;
 	}
-	const stack_trace = await debug_session.customRequest('stackTrace', { threadId: thread_id });
 	
-	if (!stack_trace.stackFrames?.length)
-		throw new Error('No stack frames found');
+	return {
+		thread_id: debug_state.selected_thread_id,
+		thread_name: thread?.name || null,
+		frame_index: debug_state.selected_frame_index
+	};
+};
+
+const select_thread = async (thread_id) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
 	
-	const frame_id = stack_trace.stackFrames[0].id;
-	const scopes = await debug_session.customRequest('scopes', { frameId: frame_id });
+	const debug_state = get_debug_state(debug_session);
+	
+	const threads = await debug_session.customRequest('threads');
+	const available = threads?.threads || [];
+	const thread = available.find(t => t.id === thread_id);
+	
+	if (!thread)
+		throw create_error('not_found', `Thread ${thread_id} not found. Available threads: ${available.map(t => t.id).join(', ')}`);
+	
+	if (debug_state.selected_thread_id !== thread_id)
+		debug_state.selected_frame_index = 0;
+	
+	debug_state.selected_thread_id = thread_id;
+	return await get_selection();
+};
+
+const select_frame = async (frame_index, thread_id = null) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	const debug_state = get_debug_state(debug_session);
+	
+	const resolved = await resolve_frame(debug_session, thread_id, frame_index);
+	debug_state.selected_thread_id = resolved.thread_id;
+	debug_state.selected_frame_index = resolved.frame_index;
+	
+	return {
+		...await get_selection(),
+		frame_name: resolved.frame.name,
+		source: resolved.frame.source?.path || resolved.frame.source?.name || null,
+		line: resolved.frame.line
+	};
+};
+
+// positive offsets move towards callers (up), negative towards callees (down)
+const move_frame = async (offset) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	const current = await resolve_frame(debug_session);
+	const target_index = current.frame_index + offset;
+	
+	if (target_index < 0)
+		throw new Error('Already at the innermost frame');
+	
+	if (target_index >= current.frame_count)
+		throw new Error('Already at the outermost frame');
+	
+	return await select_frame(target_index, current.thread_id);
+};
+
+const get_variables = async (thread_id = null, frame_index = null) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session found');
+	
+	const { frame } = await resolve_frame(debug_session, thread_id, frame_index);
+	const scopes = await debug_session.customRequest('scopes', { frameId: frame.id });
 	const variables = {};
 	
 	if (scopes.scopes) {
@@ -109,30 +468,293 @@ const get_variables = async (thread_id = null) => {
 	return variables;
 };
 
-const get_variable = async (name, thread_id = null) => {
-	const variables = await get_variables(thread_id);
-	if (!variables[name])
-		throw new Error(`Variable '${name}' not found in current scope`);
+const parse_variable_path = (path) => {
+	let deref_count = 0;
+	path = path.trim();
+	
+	while (path.startsWith('*')) {
+		deref_count++;
+		path = path.substring(1).trim();
+	}
+	
+	const segments = [];
+	let position = 0;
+	
+	while (position < path.length) {
+		VARIABLE_PATH_SEGMENT.lastIndex = position;
+		const match = VARIABLE_PATH_SEGMENT.exec(path);
+		if (!match || match[0].length === 0)
+			throw create_error('invalid_arguments', `Invalid variable path '${path}'`);
+		
+		if (match[3] !== undefined)
+			segments.push({ kind: 'index', name: match[3].trim() });
+		else
+			segments.push({ kind: match[1] === '->' ? 'pointer' : 'member', name: match[2].trim() });
+		
+		position = VARIABLE_PATH_SEGMENT.lastIndex;
+	}
+	
+	if (segments.length === 0 || segments[0].kind === 'index')
+		throw create_error('invalid_arguments', `Invalid variable path '${path}'`);
+	
+	return { segments, deref_count };
+};
+
+const get_child_variables = async (debug_session, variables_reference, paging = null) => {
+	const request = { variablesReference: variables_reference };
+	if (paging)
+		Object.assign(request, paging);
+	
+	const response = await debug_session.customRequest('variables', request);
+	return response.variables || [];
+};
+
+// adapters differ on how children are named: `[3]`, `3` or `*ptr` for a pointee.
+// returns the child along with the reference of the container holding it
+const find_child_variable = async (debug_session, parent, segment) => {
+	const key = segment.name.replace(/^(["'])(.*)\1$/, '$2');
+	const names = segment.kind === 'index' ? [`[${segment.name}]`, segment.name, key] : [segment.name];
+	const index = parseInt(segment.name);
+	
+	if (segment.kind === 'index' && !isNaN(index)) {
+		try {
+			const paged = await get_child_variables(debug_session, parent.variablesReference, { filter: 'indexed', start: index, count: 1 });
+			const match = paged.find(child => names.includes(child.name));
+			if (match)
+				return { variable: match, container_reference: parent.variablesReference };
+		} catch (error) {
+			// adapter does not support paging, fall back to a full listing
+		}
+	}
+	
+	const children = await get_child_variables(debug_session, parent.variablesReference);
+	const match = children.find(child => names.includes(child.name));
+	if (match)
+		return { variable: match, container_reference: parent.variablesReference };
+	
+	// look through a pointer to the members of its pointee
+	const pointee = children.length === 1 ? children[0] : children.find(child => child.name.startsWith('*'));
+	if (pointee?.variablesReference > 0 && segment.kind !== 'index')
+		return await find_child_variable(debug_session, pointee, segment);
+	
+	return null;
+};
+
+const dereference_variable = async (debug_session, variable) => {
+	if (!variable.variablesReference)
+		throw new Error(`Cannot dereference '${variable.name}'`);
+	
+	const children = await get_child_variables(debug_session, variable.variablesReference);
+	const pointee = children.find(child => child.name.startsWith('*')) || (children.length === 1 ? children[0] : null);
+	
+	// adapters that present a pointer as its pointee's members
+	return pointee || variable;
+};
+
+const create_expansion_guard = () => ({ nodes: 0, ancestors: new Set() });
+
+const expand_variable = async (debug_session, info, depth, guard) => {
+	if (depth <= 0 || !info.variables_reference)
+		return info;
+	
+	if (guard.ancestors.has(info.variables_reference))
+		return { ...info, cyclic: true };
+	
+	if (guard.nodes >= MAX_VARIABLE_NODES)
+		return { ...info, truncated: true };
+	
+	const children = await get_child_variables(debug_session, info.variables_reference, { start: 0, count: MAX_VARIABLE_CHILDREN + 1 });
+	const expanded = { ...info, children: {} };
+	
+	if (children.length > MAX_VARIABLE_CHILDREN)
+		expanded.truncated = true;
+	
+	guard.ancestors.add(info.variables_reference);
+	
+	for (const child of children.slice(0, MAX_VARIABLE_CHILDREN)) {
+		if (guard.nodes >= MAX_VARIABLE_NODES) {
+			expanded.truncated = true;
+			break;
+		}
+		
+		guard.nodes++;
+		const child_info = {
+			value: child.value,
+			type: child.type,
+			variables_reference: child.variablesReference
+		};
+		
+		expanded.children[child.name] = await expand_variable(debug_session, child_info, depth - 1, guard);
+	}
+	
+	guard.ancestors.delete(info.variables_reference);
+	return expanded;
+};
+
+const expand_variables = async (variables, depth) => {
+	if (depth <= 0)
+		return variables;
+	
+	const debug_session = get_debug_session();
+	const guard = create_expansion_guard();
+	const expanded = {};
+	
+	for (const [name, info] of Object.entries(variables))
+		expanded[name] = await expand_variable(debug_session, info, depth, guard);
+	
+	return expanded;
+};
+
+const find_scope_variable = async (debug_session, frame_id, name) => {
+	const scopes = await debug_session.customRequest('scopes', { frameId: frame_id });
+	
+	for (const scope of scopes.scopes || []) {
+		if (scope.name.toLowerCase().includes('register') || scope.variablesReference <= 0)
+			continue;
+		
+		const variables = await get_child_variables(debug_session, scope.variablesReference);
+		const variable = variables.find(v => v.name === name);
+		if (variable)
+			return { variable, container_reference: scope.variablesReference, scope: scope.name };
+	}
+	
+	return null;
+};
+
+const resolve_variable_path = async (debug_session, path, thread_id = null, frame_index = null) => {
+	const { segments, deref_count } = parse_variable_path(path);
+	const { frame } = await resolve_frame(debug_session, thread_id, frame_index);
+	
+	const root_name = segments[0].name;
+	const root = await find_scope_variable(debug_session, frame.id, root_name);
+	if (!root)
+		throw create_error('not_found', `Variable '${root_name}' not found in current scope`);
+	
+	let current = root.variable;
+	let container_reference = root.container_reference;
+	let current_path = root_name;
+	
+	for (const segment of segments.slice(1)) {
+		if (!current.variablesReference)
+			throw new Error(`'${current_path}' has no members`);
+		
+		const child = await find_child_variable(debug_session, current, segment);
+		if (!child)
+			throw create_error('not_found', `Member '${segment.name}' not found in '${current_path}'`);
+		
+		current = child.variable;
+		container_reference = child.container_reference;
+		current_path += segment.kind === 'index' ? `[${segment.name}]` : (segment.kind === 'pointer' ? `->${segment.name}` : `.${segment.name}`);
+	}
 	
-	return variables[name];
+	for (let i = 0; i < deref_count; i++) {
+		const pointee = await dereference_variable(debug_session, current);
+		if (pointee !== current) {
+			container_reference = current.variablesReference;
+			current = pointee;
+		}
+	}
+	
+	return { variable: current, container_reference, scope: root.scope, frame_id: frame.id };
 };
 
-const evaluate_expression = async (expression, frame_id = null, context = 'watch') => {
-	if (!current_session)
-		throw new Error('No active debug session');
+const get_variable = async (name, thread_id = null, frame_index = null, depth = 0) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session found');
 	
-	const debug_session = vscode.debug.activeDebugSession;
+	const { variable, scope } = await resolve_variable_path(debug_session, name, thread_id, frame_index);
+	
+	const info = {
+		value: variable.value,
+		type: variable.type,
+		variables_reference: variable.variablesReference,
+		scope
+	};
+	
+	const guard = create_expansion_guard();
+	return await expand_variable(debug_session, info, depth, guard);
+};
+
+const set_variable = async (name, value, thread_id = null, frame_index = null) => {
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session found');
+		throw create_error('no_session', 'No active debug session found');
 	
-	if (frame_id === null) {
-		const threads = await debug_session.customRequest('threads');
-		if (!threads?.threads?.length)
-			throw new Error('No threads available for expression evaluation');
+	const resolved = await resolve_variable_path(debug_session, name, thread_id, frame_index);
+	const capabilities = get_capabilities(debug_session);
+	const expression = resolved.variable.evaluateName;
+	
+	// adapters without setVariable may still accept an assignment through setExpression
+	if (!capabilities.supportsSetVariable) {
+		if (expression && capabilities.supportsSetExpression)
+			return { ...await set_expression(expression, value, thread_id, frame_index), name };
+		
+		throw create_error('unsupported', `The debug adapter of '${debug_session.name}' does not support setting variables`);
+	}
+	
+	try {
+		const result = await debug_session.customRequest('setVariable', {
+			variablesReference: resolved.container_reference,
+			name: resolved.variable.name,
+			value
+		});
+		
+		return {
+			name,
+			value: result.value,
+			type: result.type || resolved.variable.type,
+			variables_reference: result.variablesReference || 0
+		};
+	} catch (error) {
+		// a variable the adapter refuses to set may still be assignable as an expression
+		if (!expression || !capabilities.supportsSetExpression)
+			throw new Error(`Failed to set '${name}': ${error.message}`);
+		
+		try {
+			return { ...await set_expression(expression, value, thread_id, frame_index), name };
+		} catch (expression_error) {
+			throw new Error(`Failed to set '${name}': ${error.message}`);
+		}
+	}
+};
+
+const set_expression = async (expression, value, thread_id = null, frame_index = null) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session found');
+	
+	if (!get_capabilities(debug_session).supportsSetExpression)
+		throw create_error('unsupported', `The debug adapter of '${debug_session.name}' does not support setting expressions`);
+	
+	const { frame } = await resolve_frame(debug_session, thread_id, frame_index);
+	
+	try {
+		const result = await debug_session.customRequest('setExpression', {
+			expression,
+			value,
+			frameId: frame.id
+		});
 		
-		const thread_id = threads.threads[0].id;
-		const stack_trace = await debug_session.customRequest('stackTrace', { threadId: thread_id });
-		frame_id = stack_trace.stackFrames[0]?.id;
+		return {
+			name: expression,
+			value: result.value,
+			type: result.type || null,
+			variables_reference: result.variablesReference || 0
+		};
+	} catch (error) {
+		throw new Error(`Failed to set expression '${expression}': ${error.message}`);
+	}
+};
+
+const evaluate_expression = async (expression, frame_id = null, context = 'watch', thread_id = null, frame_index = null) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session found');
+	
+	if (frame_id === null) {
+		const { frame } = await resolve_frame(debug_session, thread_id, frame_index);
+		frame_id = frame.id;
 	}
 	
 	const result = await debug_session.customRequest('evaluate', {
@@ -148,16 +770,22 @@ const evaluate_expression = async (expression, frame_id = null, context = 'watch
 	};
 };
 
-const get_call_stack = async () => {
-	const debug_session = vscode.debug.activeDebugSession;
+const get_call_stack = async (thread_id = null, all_threads = true) => {
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session');
+		throw create_error('no_session', 'No active debug session');
 	
 	const threads = await debug_session.customRequest('threads');
 	const call_stacks = [];
 	
 	if (threads.threads) {
-		for (const thread of threads.threads) {
+		let target_threads = threads.threads;
+		if (!all_threads) {
+			const target_id = await resolve_thread_id(debug_session, thread_id);
+			target_threads = target_threads.filter(t => t.id === target_id);
+		}
+		
+		for (const thread of target_threads) {
 			const stack_trace = await debug_session.customRequest('stackTrace', {
 				threadId: thread.id
 			});
@@ -181,9 +809,9 @@ const get_call_stack = async () => {
 };
 
 const get_threads = async (detailed = false) => {
-	const debug_session = vscode.debug.activeDebugSession;
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session');
+		throw create_error('no_session', 'No active debug session');
 	
 	const threads_response = await debug_session.customRequest('threads');
 	const threads = threads_response.threads || [];
@@ -221,26 +849,13 @@ const get_threads = async (detailed = false) => {
 	return detailed_threads;
 };
 
-const get_registers = async () => {
-	if (!current_session)
-		throw new Error('No active debug session');
-	
-	const debug_session = vscode.debug.activeDebugSession;
+const get_registers = async (thread_id = null, frame_index = null) => {
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session found');
+		throw create_error('no_session', 'No active debug session found');
 	
-	const threads = await debug_session.customRequest('threads');
-	if (!threads?.threads?.length)
-		throw new Error('No threads found');
-	
-	const thread_id = threads.threads[0].id;
-	const stack_trace = await debug_session.customRequest('stackTrace', { threadId: thread_id });
-	
-	if (!stack_trace.stackFrames?.length)
-		throw new Error('No stack frames found');
-	
-	const frame_id = stack_trace.stackFrames[0].id;
-	const scopes = await debug_session.customRequest('scopes', { frameId: frame_id });
+	const { frame } = await resolve_frame(debug_session, thread_id, frame_index);
+	const scopes = await debug_session.customRequest('scopes', { frameId: frame.id });
 	
 	const registers = {};
 	
@@ -286,32 +901,19 @@ const process_register_variables = async (debug_session, variables, registers, c
 	}
 };
 
-const get_disassembly = async (address = null, count = 10, offset = 0) => {
-	if (!current_session)
-		throw new Error('No active debug session');
-	
-	const debug_session = vscode.debug.activeDebugSession;
+const get_disassembly = async (address = null, count = 10, offset = 0, thread_id = null, frame_index = null) => {
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session found');
+		throw create_error('no_session', 'No active debug session found');
 	
 	let memory_reference = address;
 	
 	if (!memory_reference) {
-		const threads = await debug_session.customRequest('threads');
-		if (!threads?.threads?.length)
-			throw new Error('No threads found');
-		
-		const thread_id = threads.threads[0].id;
-		const stack_trace = await debug_session.customRequest('stackTrace', { threadId: thread_id });
-		
-		if (!stack_trace.stackFrames?.length)
-			throw new Error('No stack frames found');
-		
-		const frame = stack_trace.stackFrames[0];
+		const { frame } = await resolve_frame(debug_session, thread_id, frame_index);
 		if (frame.instructionPointerReference) {
 			memory_reference = frame.instructionPointerReference;
 		} else {
-			throw new Error('No current execution point available - address required');
+			throw create_error('invalid_arguments', 'No current execution point available - address required');
 		}
 	}
 	
@@ -350,87 +952,535 @@ const parse_condition = (condition_str) => {
 	return { condition: condition_str };
 };
 
-const set_breakpoints = async (file, lines, condition = null) => {
-	const uri = vscode.Uri.file(file);
-	const lineNumbers = Array.isArray(lines) ? lines : [lines];
-	const conditionProps = parse_condition(condition);
+const is_absolute_path = (file) => /^([a-zA-Z]:[\\/]|[\\/])/.test(file);
+
+// windows paths compare case-insensitively
+const normalize_path = (file) => {
+	const normalized = vscode.Uri.file(file).fsPath.replace(/\\/g, '/');
+	return process.platform === 'win32' ? normalized.toLowerCase() : normalized;
+};
+
+const is_same_path = (a, b) => normalize_path(a) === normalize_path(b);
+
+// true when `relative` names `file` by its trailing path segments, e.g. src/main.c
+const path_ends_with = (file, relative) => {
+	const normalized_file = normalize_path(file);
+	const normalized_relative = normalize_path(relative).replace(/^\/+/, '');
+	return normalized_file.endsWith('/' + normalized_relative.replace(/^\.\//, ''));
+};
+
+const file_exists = async (uri) => {
+	try {
+		const stat = await vscode.workspace.fs.stat(uri);
+		return (stat.type & vscode.FileType.File) !== 0;
+	} catch (error) {
+		return false;
+	}
+};
+
+const MAX_PATH_CANDIDATES = 20;
+
+// relative paths are tried against the CLI's cwd, then every workspace folder,
+// and finally matched by their trailing segments against workspace files and
+// existing breakpoints (so breakpoints on deleted files can still be removed)
+const resolve_source_path = async (file, cwd = null) => {
+	if (is_absolute_path(file))
+		return vscode.Uri.file(file).fsPath;
+	
+	if (cwd) {
+		const uri = vscode.Uri.joinPath(vscode.Uri.file(cwd), file);
+		if (await file_exists(uri))
+			return uri.fsPath;
+	}
 	
-	const breakpoints = lineNumbers.map(line => 
-		new vscode.SourceBreakpoint(
-			new vscode.Location(uri, new vscode.Position(line - 1, 0)),
-			undefined, // enabled
-			conditionProps.condition,
-			conditionProps.hitCondition,
-			conditionProps.logMessage
-		)
-	);
+	const candidates = new Map();
+	const add_candidate = (path) => candidates.set(normalize_path(path), path);
+	
+	for (const folder of vscode.workspace.workspaceFolders || []) {
+		const uri = vscode.Uri.joinPath(folder.uri, file);
+		if (await file_exists(uri))
+			add_candidate(uri.fsPath);
+	}
+	
+	if (candidates.size === 0) {
+		for (const bp of vscode.debug.breakpoints) {
+			if (bp instanceof vscode.SourceBreakpoint && path_ends_with(bp.location.uri.fsPath, file))
+				add_candidate(bp.location.uri.fsPath);
+		}
+		
+		const pattern = `**/${file.replace(/\\/g, '/').replace(/^\.\//, '')}`;
+		const uris = await vscode.workspace.findFiles(pattern, null, MAX_PATH_CANDIDATES);
+		for (const uri of uris)
+			add_candidate(uri.fsPath);
+	}
 	
-	vscode.debug.addBreakpoints(breakpoints);
+	if (candidates.size === 0)
+		throw create_error('not_found', `File not found: ${file}`);
+	
+	if (candidates.size > 1) {
+		const matches = [...candidates.values()].sort().map(path => `  ${path}`).join('\n');
+		throw create_error('ambiguous', `Ambiguous path '${file}' matches ${candidates.size} files, use a longer path:\n${matches}`);
+	}
 	
-	const debug_session = vscode.debug.activeDebugSession;
-	if (debug_session) {
+	return [...candidates.values()][0];
+};
+
+// columns are 1-based, null for breakpoints that cover the whole line
+const get_source_breakpoint_column = (bp) => {
+	const character = bp.location.range.start.character;
+	return character > 0 ? character + 1 : null;
+};
+
+const get_source_breakpoints = (path) => {
+	return vscode.debug.breakpoints.filter(bp =>
+		bp instanceof vscode.SourceBreakpoint &&
+		bp.location.uri.fsPath === path
+	);
+};
+
+// adapters without supportsColumnBreakpoints ignore the column
+const to_dap_source_breakpoint = (bp) => {
+	const dap_breakpoint = { line: bp.location.range.start.line + 1 };
+	const column = get_source_breakpoint_column(bp);
+	if (column) dap_breakpoint.column = column;
+	if (bp.condition) dap_breakpoint.condition = bp.condition;
+	if (bp.hitCondition) dap_breakpoint.hitCondition = bp.hitCondition;
+	if (bp.logMessage) dap_breakpoint.logMessage = bp.logMessage;
+	return dap_breakpoint;
+};
+
+// setBreakpoints arguments compared regardless of order and of fields left out
+const get_breakpoint_set_signature = (dap_breakpoints = []) => JSON.stringify(dap_breakpoints
+	.map(bp => [bp.line, bp.column ?? null, bp.condition || null, bp.hitCondition || null, bp.logMessage || null])
+	.sort());
+
+// vscode.debug.breakpoints is the source of truth: every running session whose adapter
+// was last sent a different set for the file gets its complete enabled set, since
+// setBreakpoints replaces the adapter's set for the source. the set vscode sends for the
+// same change is identical, so whichever arrives last leaves the adapter the same
+const sync_source_breakpoints = async (path) => {
+	const fs_path = vscode.Uri.file(path).fsPath;
+	const breakpoints = get_source_breakpoints(fs_path).filter(bp => bp.enabled);
+	const dap_breakpoints = breakpoints.map(to_dap_source_breakpoint);
+	const keys = breakpoints.map(bp => get_source_breakpoint_key(fs_path, bp.location.range.start.line + 1, get_source_breakpoint_column(bp)));
+	const signature = get_breakpoint_set_signature(dap_breakpoints);
+	const results = [];
+	
+	for (const { session, state, started_at } of debug_sessions.values()) {
+		// sessions that are still being launched receive breakpoints from vscode itself
+		if (!started_at)
+			continue;
+		
+		// unchanged (e.g. a disabled breakpoint was added), the adapter already has this set
+		if ((state.sent_breakpoints.get(fs_path) ?? get_breakpoint_set_signature()) === signature) {
+			const statuses = breakpoint_status.get(session.id);
+			results.push({
+				session: session.name,
+				sent: false,
+				breakpoints: keys.map(key => statuses?.get(key)).filter(Boolean).map(status => ({
+					id: status.adapter_id,
+					verified: status.verified,
+					line: status.line,
+					column: status.column,
+					message: status.message
+				}))
+			});
+			continue;
+		}
+		
+		// the tracker records the response like any other setBreakpoints
 		try {
-			const dapBreakpoints = lineNumbers.map(line => {
-				const bp = { line };
-				if (conditionProps.condition) bp.condition = conditionProps.condition;
-				if (conditionProps.hitCondition) bp.hitCondition = conditionProps.hitCondition;
-				if (conditionProps.logMessage) bp.logMessage = conditionProps.logMessage;
-				return bp;
+			const result = await session.customRequest('setBreakpoints', {
+				source: { path: fs_path },
+				breakpoints: dap_breakpoints
 			});
 			
-			const result = await debug_session.customRequest('setBreakpoints', {
-				source: { path: file },
-				breakpoints: dapBreakpoints
-			});
-			return { vscode: breakpoints.length, dap: result };
+			results.push({ session: session.name, sent: true, breakpoints: result?.breakpoints || [] });
 		} catch (error) {
-			return { vscode: breakpoints.length, dap: null, error: error.message };
+			console.warn(`VDB: Failed to sync breakpoints for ${fs_path} to ${session.name}:`, error.message);
+			results.push({ session: session.name, sent: true, error: error.message });
 		}
 	}
 	
-	return { vscode: breakpoints.length, dap: null };
+	return results;
 };
 
-const clear_breakpoints = async (file, lines = null) => {
+const set_breakpoints = async (file, lines, condition = null, column = null) => {
 	const uri = vscode.Uri.file(file);
+	const lineNumbers = Array.isArray(lines) ? lines : [lines];
+	const conditionProps = parse_condition(condition);
+	column = column || null;
+	
+	// re-adding a location replaces its breakpoint rather than stacking duplicates
+	const existing = get_source_breakpoints(uri.fsPath).filter(bp =>
+		lineNumbers.includes(bp.location.range.start.line + 1) &&
+		get_source_breakpoint_column(bp) === column
+	);
 	
-	const existingBreakpoints = vscode.debug.breakpoints.filter(bp => 
-		bp instanceof vscode.SourceBreakpoint && 
-		bp.location.uri.fsPath === uri.fsPath
+	const breakpoints = lineNumbers.map(line => 
+		new vscode.SourceBreakpoint(
+			new vscode.Location(uri, new vscode.Position(line - 1, column ? column - 1 : 0)),
+			undefined, // enabled
+			conditionProps.condition,
+			conditionProps.hitCondition,
+			conditionProps.logMessage
+		)
 	);
 	
+	// a plain breakpoint replacing a symbolic one no longer follows the symbol
+	for (const bp of existing)
+		symbol_origins.delete(get_source_breakpoint_key(bp.location.uri.fsPath, bp.location.range.start.line + 1));
+	
+	replace_breakpoints(existing, breakpoints);
+	const sessions = await sync_source_breakpoints(uri.fsPath);
+	
+	const debug_session = get_debug_session();
+	const columns_supported = column && debug_session ? !!get_capabilities(debug_session).supportsColumnBreakpoints : null;
+	
+	return {
+		vscode: breakpoints.length,
+		file: uri.fsPath,
+		sessions,
+		columns_supported,
+		breakpoints: lineNumbers.map(line => ({
+			line,
+			column,
+			...get_breakpoint_status_fields(get_source_breakpoint_key(uri.fsPath, line, column))
+		}))
+	};
+};
+
+// a column narrows the match to that column, otherwise every breakpoint on the line matches
+const matches_source_location = (bp, lineNumbers, column = null) =>
+	lineNumbers.includes(bp.location.range.start.line + 1) &&
+	(!column || get_source_breakpoint_column(bp) === column);
+
+const clear_breakpoints = async (file, lines = null, column = null) => {
+	const uri = vscode.Uri.file(file);
+	const existingBreakpoints = get_source_breakpoints(uri.fsPath);
+	
 	let breakpointsToRemove = [];
 	
 	if (lines === null) {
 		breakpointsToRemove = existingBreakpoints;
 	} else {
 		const lineNumbers = Array.isArray(lines) ? lines : [lines];
-		breakpointsToRemove = existingBreakpoints.filter(bp => 
-			lineNumbers.includes(bp.location.range.start.line + 1)
-		);
+		breakpointsToRemove = existingBreakpoints.filter(bp => matches_source_location(bp, lineNumbers, column));
 	}
 	
 	if (breakpointsToRemove.length > 0)
 		vscode.debug.removeBreakpoints(breakpointsToRemove);
 	
-	const debug_session = vscode.debug.activeDebugSession;
-	if (debug_session) {
+	const sessions = await sync_source_breakpoints(uri.fsPath);
+	return { vscode: breakpointsToRemove.length, file: uri.fsPath, sessions };
+};
+
+const set_function_breakpoint = async (name, condition = null) => {
+	const conditionProps = parse_condition(condition);
+	
+	// re-adding a function replaces its breakpoint rather than duplicating it
+	const existing = vscode.debug.breakpoints.filter(bp =>
+		bp instanceof vscode.FunctionBreakpoint && bp.functionName === name
+	);
+	
+	if (existing.length > 0)
+		vscode.debug.removeBreakpoints(existing);
+	
+	const breakpoint = new vscode.FunctionBreakpoint(
+		name,
+		undefined, // enabled
+		conditionProps.condition,
+		conditionProps.hitCondition,
+		conditionProps.logMessage
+	);
+	
+	// vscode sends function breakpoints to the adapter through setFunctionBreakpoints
+	vscode.debug.addBreakpoints([breakpoint]);
+	
+	const debug_session = get_debug_session();
+	const supported = debug_session ? !!get_capabilities(debug_session).supportsFunctionBreakpoints : null;
+	
+	return { vscode: 1, function: name, supported };
+};
+
+const clear_function_breakpoints = async (name) => {
+	const breakpointsToRemove = vscode.debug.breakpoints.filter(bp =>
+		bp instanceof vscode.FunctionBreakpoint && bp.functionName === name
+	);
+	
+	if (breakpointsToRemove.length === 0)
+		throw create_error('not_found', `No function breakpoint set for '${name}'`);
+	
+	vscode.debug.removeBreakpoints(breakpointsToRemove);
+	return { vscode: breakpointsToRemove.length };
+};
+
+const apply_breakpoint_changes = (bp, changes) => {
+	const enabled = changes.enabled === 'toggle' ? !bp.enabled : (changes.enabled ?? bp.enabled);
+	
+	// an empty string clears the property
+	const condition = changes.condition !== undefined ? (changes.condition || undefined) : bp.condition;
+	const hitCondition = changes.hitCondition !== undefined ? (changes.hitCondition || undefined) : bp.hitCondition;
+	const logMessage = changes.logMessage !== undefined ? (changes.logMessage || undefined) : bp.logMessage;
+	
+	if (bp instanceof vscode.FunctionBreakpoint)
+		return new vscode.FunctionBreakpoint(bp.functionName, enabled, condition, hitCondition, logMessage);
+	
+	return new vscode.SourceBreakpoint(bp.location, enabled, condition, hitCondition, logMessage);
+};
+
+// breakpoint objects are immutable, so changes replace them in place
+const update_breakpoints = async (file, lines, changes, column = null) => {
+	let targets;
+	
+	if (file === null) {
+		targets = vscode.debug.breakpoints.filter(bp =>
+			bp instanceof vscode.SourceBreakpoint || bp instanceof vscode.FunctionBreakpoint
+		);
+	} else {
+		const uri = vscode.Uri.file(file);
+		const lineNumbers = Array.isArray(lines) ? lines : [lines];
+		
+		targets = get_source_breakpoints(uri.fsPath).filter(bp => matches_source_location(bp, lineNumbers, column));
+	}
+	
+	if (targets.length === 0) {
+		const location = `${file}:${[].concat(lines).join(', ')}${column ? `:${column}` : ''}`;
+		throw create_error('not_found', file === null ? 'No breakpoints set' : `No breakpoint at ${location}`);
+	}
+	
+	const replacements = targets.map(bp => apply_breakpoint_changes(bp, changes));
+	replace_breakpoints(targets, replacements);
+	
+	const paths = new Set(replacements
+		.filter(bp => bp instanceof vscode.SourceBreakpoint)
+		.map(bp => bp.location.uri.fsPath));
+	
+	await Promise.all([...paths].map(sync_source_breakpoints));
+	
+	return { updated: replacements.length };
+};
+
+const FUNCTION_SYMBOL_KINDS = [vscode.SymbolKind.Function, vscode.SymbolKind.Method, vscode.SymbolKind.Constructor];
+
+// Parser::parse and Parser.parse name the same symbol, signatures are ignored
+const normalize_symbol_name = (name) => name.replace(/\(.*$/, '').replace(/\./g, '::').trim();
+
+const matches_symbol = (qualified_name, symbol) => {
+	const qualified = normalize_symbol_name(qualified_name);
+	const wanted = normalize_symbol_name(symbol);
+	return qualified === wanted || qualified.endsWith('::' + wanted);
+};
+
+// document symbol providers return either a DocumentSymbol tree or flat SymbolInformation
+const flatten_document_symbols = (symbols, container = null, flattened = []) => {
+	for (const symbol of symbols || []) {
+		const parent = symbol.containerName ?? container;
+		const qualified_name = parent ? `${parent}::${symbol.name}` : symbol.name;
+		
+		flattened.push({
+			name: qualified_name,
+			kind: symbol.kind,
+			range: symbol.range ?? symbol.location.range,
+			selection_range: symbol.selectionRange ?? symbol.location.range
+		});
+		
+		if (symbol.children)
+			flatten_document_symbols(symbol.children, qualified_name, flattened);
+	}
+	
+	return flattened;
+};
+
+const is_body_line = (text) => {
+	const trimmed = text.trim();
+	return trimmed.length > 0 && !/^(\/\/|\/\*|\*|#|\{$|\}$)/.test(trimmed);
+};
+
+// the first statement after the opening brace (or the signature for languages without braces)
+const find_body_line = (document, symbol) => {
+	const signature_end = document.offsetAt(symbol.selection_range.end);
+	const text = document.getText(new vscode.Range(symbol.selection_range.end, symbol.range.end));
+	const brace = text.indexOf('{');
+	
+	let line = symbol.selection_range.end.line + 1;
+	if (brace !== -1) {
+		const brace_position = document.positionAt(signature_end + brace);
+		const rest = document.lineAt(brace_position.line).text.substring(brace_position.character + 1);
+		
+		if (is_body_line(rest))
+			return brace_position.line + 1;
+		
+		line = brace_position.line + 1;
+	}
+	
+	for (; line <= symbol.range.end.line && line < document.lineCount; line++) {
+		if (is_body_line(document.lineAt(line).text))
+			return line + 1;
+	}
+	
+	return symbol.selection_range.start.line + 1;
+};
+
+const find_document_symbols = async (uri, symbol) => {
+	const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri);
+	return flatten_document_symbols(symbols).filter(candidate =>
+		FUNCTION_SYMBOL_KINDS.includes(candidate.kind) && matches_symbol(candidate.name, symbol)
+	);
+};
+
+// without a file the workspace symbol provider finds the candidates, their
+// document symbols are then used to get the full range of the function
+const resolve_symbol_location = async (symbol, file = null, cwd = null) => {
+	const matches = [];
+	
+	if (file) {
+		const uri = vscode.Uri.file(await resolve_source_path(file, cwd));
+		for (const candidate of await find_document_symbols(uri, symbol))
+			matches.push({ uri, symbol: candidate });
+	} else {
+		const name = normalize_symbol_name(symbol).split('::').pop();
+		const workspace_symbols = await vscode.commands.executeCommand('vscode.executeWorkspaceSymbolProvider', name) || [];
+		
+		for (const workspace_symbol of workspace_symbols) {
+			const qualified_name = workspace_symbol.containerName ? `${workspace_symbol.containerName}::${workspace_symbol.name}` : workspace_symbol.name;
+			if (!FUNCTION_SYMBOL_KINDS.includes(workspace_symbol.kind) || !matches_symbol(qualified_name, symbol))
+				continue;
+			
+			const uri = workspace_symbol.location.uri;
+			const position = workspace_symbol.location.range.start;
+			const candidates = await find_document_symbols(uri, symbol);
+			const candidate = candidates.find(c => c.range.contains(position)) || {
+				name: qualified_name,
+				kind: workspace_symbol.kind,
+				range: workspace_symbol.location.range,
+				selection_range: workspace_symbol.location.range
+			};
+			
+			// declarations and definitions can both be reported for one function
+			if (!matches.some(m => m.uri.fsPath === uri.fsPath && m.symbol.range.isEqual(candidate.range)))
+				matches.push({ uri, symbol: candidate });
+		}
+	}
+	
+	const where = file ? ` in ${file}` : '';
+	if (matches.length === 0)
+		throw create_error('not_found', `No function symbol '${symbol}' found${where}`);
+	
+	if (matches.length > 1) {
+		const list = matches.map(m => `  ${m.symbol.name} - ${m.uri.fsPath}:${m.symbol.selection_range.start.line + 1}`).join('\n');
+		throw create_error('ambiguous', `Ambiguous symbol '${symbol}' matches ${matches.length} functions${where}:\n${list}`);
+	}
+	
+	const [match] = matches;
+	const document = await vscode.workspace.openTextDocument(match.uri);
+	
+	return {
+		file: match.uri.fsPath,
+		line: find_body_line(document, match.symbol),
+		symbol: match.symbol.name
+	};
+};
+
+const get_symbol_origin = (bp) => symbol_origins.get(get_source_breakpoint_key(bp.location.uri.fsPath, bp.location.range.start.line + 1)) || null;
+
+const is_same_symbol_origin = (a, b) => a.symbol === b.symbol && (a.file || null) === (b.file || null);
+
+const set_symbol_breakpoint = async (symbol, file = null, condition = null, cwd = null) => {
+	const location = await resolve_symbol_location(symbol, file, cwd);
+	const origin = { symbol, file: file ? location.file : null };
+	
+	// adding the same symbol again re-resolves it instead of leaving the old line behind
+	const previous = vscode.debug.breakpoints.filter(bp => {
+		const previous_origin = bp instanceof vscode.SourceBreakpoint ? get_symbol_origin(bp) : null;
+		return previous_origin && is_same_symbol_origin(previous_origin, origin);
+	});
+	
+	if (previous.length > 0) {
+		vscode.debug.removeBreakpoints(previous);
+		await Promise.all([...new Set(previous.map(bp => bp.location.uri.fsPath))].map(sync_source_breakpoints));
+	}
+	
+	const result = await set_breakpoints(location.file, [location.line], condition);
+	symbol_origins.set(get_source_breakpoint_key(location.file, location.line), origin);
+	
+	return { ...result, symbol: location.symbol };
+};
+
+// moves symbolic breakpoints to wherever their symbol resolves to now, keeping their properties
+const resolve_symbol_breakpoints = async () => {
+	const results = [];
+	const moves = [];
+	
+	for (const bp of vscode.debug.breakpoints) {
+		const origin = bp instanceof vscode.SourceBreakpoint ? get_symbol_origin(bp) : null;
+		if (!origin)
+			continue;
+		
+		const from = { file: bp.location.uri.fsPath, line: bp.location.range.start.line + 1 };
+		
 		try {
-			const remainingLines = existingBreakpoints
-				.filter(bp => !breakpointsToRemove.includes(bp))
-				.map(bp => ({ line: bp.location.range.start.line + 1 }));
+			const location = await resolve_symbol_location(origin.symbol, origin.file);
+			const moved = location.file !== from.file || location.line !== from.line;
+			
+			if (moved) {
+				const replacement = new vscode.SourceBreakpoint(
+					new vscode.Location(vscode.Uri.file(location.file), new vscode.Position(location.line - 1, 0)),
+					bp.enabled,
+					bp.condition,
+					bp.hitCondition,
+					bp.logMessage
+				);
 				
-			const result = await debug_session.customRequest('setBreakpoints', {
-				source: { path: file },
-				breakpoints: remainingLines
-			});
-			return { vscode: breakpointsToRemove.length, dap: result };
+				moves.push({ bp, replacement, origin });
+			}
+			
+			results.push({ symbol: origin.symbol, from, to: { file: location.file, line: location.line }, moved });
 		} catch (error) {
-			return { vscode: breakpointsToRemove.length, dap: null, error: error.message };
+			results.push({ symbol: origin.symbol, from, error: error.message });
 		}
 	}
 	
-	return { vscode: breakpointsToRemove.length, dap: null };
+	// moved all at once after resolving, so every file is synced once
+	replace_breakpoints(moves.map(move => move.bp), moves.map(move => move.replacement));
+	
+	for (const { replacement, origin } of moves)
+		symbol_origins.set(get_source_breakpoint_key(replacement.location.uri.fsPath, replacement.location.range.start.line + 1), origin);
+	
+	const paths = new Set(moves.flatMap(({ bp, replacement }) => [bp.location.uri.fsPath, replacement.location.uri.fsPath]));
+	await Promise.all([...paths].map(sync_source_breakpoints));
+	
+	return { breakpoints: results };
+};
+
+// origins of breakpoints removed through any means (including the vscode UI) are forgotten
+const prune_symbol_origins = () => {
+	if (replacing_breakpoints)
+		return;
+	
+	const keys = new Set(vscode.debug.breakpoints
+		.filter(bp => bp instanceof vscode.SourceBreakpoint)
+		.map(bp => get_source_breakpoint_key(bp.location.uri.fsPath, bp.location.range.start.line + 1)));
+	
+	for (const key of symbol_origins.keys()) {
+		if (!keys.has(key))
+			symbol_origins.delete(key);
+	}
+};
+
+const replace_breakpoints = (removed, added) => {
+	replacing_breakpoints = true;
+	
+	try {
+		if (removed.length > 0)
+			vscode.debug.removeBreakpoints(removed);
+		if (added.length > 0)
+			vscode.debug.addBreakpoints(added);
+	} finally {
+		replacing_breakpoints = false;
+	}
+	
+	prune_symbol_origins();
 };
 
 const get_breakpoints = () => {
@@ -438,24 +1488,43 @@ const get_breakpoints = () => {
 		bp instanceof vscode.SourceBreakpoint
 	);
 	
-	return sourceBreakpoints.map(bp => ({
-		file: bp.location.uri.fsPath,
-		line: bp.location.range.start.line + 1,
-		enabled: bp.enabled,
-		condition: bp.condition || null,
-		hitCondition: bp.hitCondition || null,
-		logMessage: bp.logMessage || null,
-		type: 'source'
-	}));
+	const functionBreakpoints = vscode.debug.breakpoints.filter(bp =>
+		bp instanceof vscode.FunctionBreakpoint
+	);
+	
+	return [
+		...sourceBreakpoints.map(bp => ({
+			...get_breakpoint_status_fields(get_source_breakpoint_key(bp.location.uri.fsPath, bp.location.range.start.line + 1, get_source_breakpoint_column(bp))),
+			file: bp.location.uri.fsPath,
+			line: bp.location.range.start.line + 1,
+			column: get_source_breakpoint_column(bp),
+			symbol: get_symbol_origin(bp)?.symbol || null,
+			enabled: bp.enabled,
+			condition: bp.condition || null,
+			hitCondition: bp.hitCondition || null,
+			logMessage: bp.logMessage || null,
+			type: 'source'
+		})),
+		...functionBreakpoints.map(bp => ({
+			...get_breakpoint_status_fields(get_function_breakpoint_key(bp.functionName)),
+			function: bp.functionName,
+			enabled: bp.enabled,
+			condition: bp.condition || null,
+			hitCondition: bp.hitCondition || null,
+			logMessage: bp.logMessage || null,
+			type: 'function'
+		}))
+	];
 };
 
-const check_data_breakpoint_capabilities = async () => {
-	const debug_session = vscode.debug.activeDebugSession;
+const check_data_breakpoint_capabilities = async (debug_session = get_debug_session()) => {
 	if (!debug_session)
 		return false;
 	
+	const debug_state = get_debug_state(debug_session);
+	
 	try {
-		const capabilities = debug_session.configuration.capabilities || debug_session.capabilities;
+		const capabilities = session_capabilities.get(debug_session.id) || debug_session.configuration.capabilities || debug_session.capabilities;
 		
 		if (capabilities && capabilities.supportsDataBreakpoints) {
 			debug_state.supports_data_breakpoints = true;
@@ -472,12 +1541,14 @@ const check_data_breakpoint_capabilities = async () => {
 };
 
 const get_data_breakpoint_info = async (variable_name = null, variables_reference = null) => {
-	const debug_session = vscode.debug.activeDebugSession;
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session');
+		throw create_error('no_session', 'No active debug session');
+	
+	const debug_state = get_debug_state(debug_session);
 	
 	if (!debug_state.supports_data_breakpoints)
-		throw new Error('Data breakpoints are not supported by the current debug adapter');
+		throw create_error('unsupported', 'Data breakpoints are not supported by the current debug adapter');
 	
 	try {
 		const result = await debug_session.customRequest('dataBreakpointInfo', {
@@ -497,16 +1568,25 @@ const get_data_breakpoint_info = async (variable_name = null, variables_referenc
 };
 
 const set_data_breakpoints = async (data_breakpoints = []) => {
-	const debug_session = vscode.debug.activeDebugSession;
+	const debug_session = get_debug_session();
 	if (!debug_session)
-		throw new Error('No active debug session');
+		throw create_error('no_session', 'No active debug session');
+	
+	const debug_state = get_debug_state(debug_session);
 	
 	if (!debug_state.supports_data_breakpoints)
-		throw new Error('Data breakpoints are not supported by the current debug adapter');
+		throw create_error('unsupported', 'Data breakpoints are not supported by the current debug adapter');
 	
 	try {
+		// description and canPersist are bridge bookkeeping, not part of the protocol
 		const result = await debug_session.customRequest('setDataBreakpoints', {
-			breakpoints: data_breakpoints
+			breakpoints: data_breakpoints.map(bp => {
+				const dap_breakpoint = { dataId: bp.dataId };
+				if (bp.accessType) dap_breakpoint.accessType = bp.accessType;
+				if (bp.condition) dap_breakpoint.condition = bp.condition;
+				if (bp.hitCondition) dap_breakpoint.hitCondition = bp.hitCondition;
+				return dap_breakpoint;
+			})
 		});
 		
 		debug_state.data_breakpoints.clear();
@@ -515,16 +1595,16 @@ const set_data_breakpoints = async (data_breakpoints = []) => {
 				const bp = result.breakpoints[i];
 				const original = data_breakpoints[i];
 				
-				if (bp.verified) {
-					debug_state.data_breakpoints.add({
-						dataId: original.dataId,
-						accessType: original.accessType,
-						condition: original.condition,
-						description: original.description || 'Data breakpoint',
-						verified: bp.verified,
-						message: bp.message
-					});
-				}
+				// rejected breakpoints are kept so they are listed as unverified
+				debug_state.data_breakpoints.add({
+					dataId: original.dataId,
+					accessType: original.accessType,
+					condition: original.condition,
+					description: original.description || 'Data breakpoint',
+					canPersist: !!original.canPersist,
+					verified: !!bp.verified,
+					message: bp.message
+				});
 			}
 		}
 		
@@ -535,130 +1615,471 @@ const set_data_breakpoints = async (data_breakpoints = []) => {
 };
 
 const get_data_breakpoints = () => {
-	return Array.from(debug_state.data_breakpoints).map(bp => ({
+	return Array.from(get_debug_state().data_breakpoints).map(bp => ({
+		id: get_breakpoint_id(get_data_breakpoint_key(bp.dataId)),
 		dataId: bp.dataId,
 		accessType: bp.accessType,
 		condition: bp.condition,
 		description: bp.description,
+		canPersist: bp.canPersist,
 		verified: bp.verified,
 		message: bp.message,
 		type: 'data'
 	}));
 };
 
-const debug_continue = async (thread_id = null, single_thread = false) => {
-	const debug_session = vscode.debug.activeDebugSession;
-	if (!debug_session)
-		throw new Error('No active debug session');
+const BREAKPOINT_SET_VERSION = 1;
+const BREAKPOINT_SET_NAME = /^[\w.-]+$/;
+
+const get_breakpoint_sets_uri = () => {
+	const folder = vscode.workspace.workspaceFolders?.[0];
+	if (!folder)
+		throw create_error('not_found', 'No workspace folders found');
 	
-	if (!thread_id) {
-		const threads = await debug_session.customRequest('threads');
-		thread_id = threads.threads[0]?.id;
-	}
+	return vscode.Uri.joinPath(folder.uri, '.vscode', 'breakpoints');
+};
+
+// named sets live in the workspace, anything else is an explicit file path
+const get_breakpoint_set_uri = (name = null, file = null) => {
+	if (file)
+		return vscode.Uri.file(file);
 	
-	debug_state.execution_state = 'running';
-	debug_state.stop_reason = null;
-	debug_state.stop_location = null;
-	debug_state.stopped_at_breakpoint = false;
+	if (!name || !BREAKPOINT_SET_NAME.test(name))
+		throw create_error('invalid_arguments', `Invalid breakpoint set name '${name}'`);
 	
-	broadcast_event('dap:continued', {
-		threadId: thread_id,
-		singleThread: single_thread
-	});
+	return vscode.Uri.joinPath(get_breakpoint_sets_uri(), `${name}.json`);
+};
+
+// paths are stored relative to their workspace folder so sets can be shared
+const to_workspace_location = (uri) => {
+	const folder = vscode.workspace.getWorkspaceFolder(uri);
+	if (!folder)
+		return { file: uri.fsPath };
+	
+	const relative = vscode.workspace.asRelativePath(uri, false).replace(/\\/g, '/');
+	return vscode.workspace.workspaceFolders.length > 1 ? { folder: folder.name, file: relative } : { file: relative };
+};
+
+const from_workspace_location = (entry) => {
+	if (is_absolute_path(entry.file))
+		return vscode.Uri.file(entry.file);
 	
-	const request_params = { threadId: thread_id };
-	if (single_thread)
-		request_params.singleThread = true;
+	const folders = vscode.workspace.workspaceFolders || [];
+	if (folders.length === 0)
+		throw create_error('not_found', 'No workspace folders found');
 	
-	return await debug_session.customRequest('continue', request_params);
+	// entries are resolved before anything is loaded, so a missing folder fails the whole set
+	const folder = entry.folder ? folders.find(f => f.name === entry.folder) : folders[0];
+	if (!folder)
+		throw create_error('not_found', `Workspace folder '${entry.folder}' of ${entry.file} not found`);
+	
+	return vscode.Uri.joinPath(folder.uri, entry.file);
 };
 
-const step_over = async (thread_id = null, single_thread = false) => {
-	const debug_session = vscode.debug.activeDebugSession;
-	if (!debug_session)
-		throw new Error('No active debug session');
-	
-	if (!thread_id) {
-		const threads = await debug_session.customRequest('threads');
-		thread_id = threads.threads[0]?.id;
+const serialize_breakpoint_properties = (bp) => {
+	const entry = { enabled: bp.enabled };
+	if (bp.condition) entry.condition = bp.condition;
+	if (bp.hitCondition) entry.hitCondition = bp.hitCondition;
+	if (bp.logMessage) entry.logMessage = bp.logMessage;
+	return entry;
+};
+
+const save_breakpoint_set = async (name = null, file = null) => {
+	const uri = get_breakpoint_set_uri(name, file);
+	const breakpoints = [];
+	
+	for (const bp of vscode.debug.breakpoints) {
+		if (bp instanceof vscode.SourceBreakpoint) {
+			const entry = {
+				type: 'source',
+				...to_workspace_location(bp.location.uri),
+				line: bp.location.range.start.line + 1
+			};
+			
+			if (bp.location.range.start.character > 0)
+				entry.column = bp.location.range.start.character + 1;
+			
+			const origin = get_symbol_origin(bp);
+			if (origin) {
+				entry.symbol = origin.symbol;
+				if (origin.file)
+					entry.symbolFile = to_workspace_location(vscode.Uri.file(origin.file)).file;
+			}
+			
+			breakpoints.push({ ...entry, ...serialize_breakpoint_properties(bp) });
+		} else if (bp instanceof vscode.FunctionBreakpoint) {
+			breakpoints.push({ type: 'function', function: bp.functionName, ...serialize_breakpoint_properties(bp) });
+		}
 	}
 	
-	debug_state.execution_state = 'running';
-	broadcast_event('dap:continued', { threadId: thread_id, singleThread: single_thread });
+	// data ids are only meaningful across sessions when the adapter says so
+	let skipped = 0;
+	for (const bp of get_data_breakpoints()) {
+		if (!bp.canPersist) {
+			skipped++;
+			continue;
+		}
+		
+		const entry = { type: 'data', dataId: bp.dataId, accessType: bp.accessType, description: bp.description };
+		if (bp.condition)
+			entry.condition = bp.condition;
+		
+		breakpoints.push(entry);
+	}
 	
-	const request_params = { threadId: thread_id };
-	if (single_thread)
-		request_params.singleThread = true;
+	const content = JSON.stringify({ version: BREAKPOINT_SET_VERSION, breakpoints }, null, '\t');
+	await vscode.workspace.fs.writeFile(uri, Buffer.from(content + '\n'));
 	
-	return await debug_session.customRequest('next', request_params);
+	return {
+		path: uri.fsPath,
+		saved: breakpoints.length,
+		skipped
+	};
 };
 
-const step_in = async (thread_id = null, single_thread = false) => {
-	const debug_session = vscode.debug.activeDebugSession;
-	if (!debug_session)
-		throw new Error('No active debug session');
+const load_breakpoint_set = async (name = null, file = null, replace = false) => {
+	const uri = get_breakpoint_set_uri(name, file);
 	
-	if (!thread_id) {
-		const threads = await debug_session.customRequest('threads');
-		thread_id = threads.threads[0]?.id;
+	let breakpoint_set;
+	try {
+		const content = await vscode.workspace.fs.readFile(uri);
+		breakpoint_set = JSON.parse(Buffer.from(content).toString());
+	} catch (error) {
+		throw new Error(`Failed to read breakpoint set ${uri.fsPath}: ${error.message}`);
 	}
 	
-	debug_state.execution_state = 'running';
-	broadcast_event('dap:continued', { threadId: thread_id, singleThread: single_thread });
+	if (!Array.isArray(breakpoint_set?.breakpoints))
+		throw create_error('invalid_arguments', `Invalid breakpoint set ${uri.fsPath}`);
 	
-	const request_params = { threadId: thread_id };
-	if (single_thread)
-		request_params.singleThread = true;
+	const existing = vscode.debug.breakpoints.filter(bp =>
+		bp instanceof vscode.SourceBreakpoint || bp instanceof vscode.FunctionBreakpoint
+	);
 	
-	return await debug_session.customRequest('stepIn', request_params);
-};
-
-const step_out = async (thread_id = null, single_thread = false) => {
-	const debug_session = vscode.debug.activeDebugSession;
-	if (!debug_session)
-		throw new Error('No active debug session');
+	const source_breakpoints = [];
+	const function_breakpoints = [];
+	const data_breakpoints = [];
+	const origins = new Map();
+	
+	for (const entry of breakpoint_set.breakpoints) {
+		const enabled = entry.enabled ?? true;
+		
+		if (entry.type === 'source') {
+			const location = new vscode.Location(
+				from_workspace_location(entry),
+				new vscode.Position(entry.line - 1, entry.column ? entry.column - 1 : 0)
+			);
+			
+			source_breakpoints.push(new vscode.SourceBreakpoint(location, enabled, entry.condition, entry.hitCondition, entry.logMessage));
+			
+			if (entry.symbol) {
+				const symbol_file = entry.symbolFile ? from_workspace_location({ ...entry, file: entry.symbolFile }).fsPath : null;
+				origins.set(get_source_breakpoint_key(location.uri.fsPath, entry.line), { symbol: entry.symbol, file: symbol_file });
+			}
+		} else if (entry.type === 'function') {
+			function_breakpoints.push(new vscode.FunctionBreakpoint(entry.function, enabled, entry.condition, entry.hitCondition, entry.logMessage));
+		} else if (entry.type === 'data') {
+			data_breakpoints.push({ ...entry, canPersist: true });
+		}
+	}
+	
+	// merging replaces breakpoints at the same location instead of duplicating them
+	const replaced = replace ? existing : existing.filter(bp => {
+		if (bp instanceof vscode.FunctionBreakpoint)
+			return function_breakpoints.some(loaded => loaded.functionName === bp.functionName);
+		
+		return source_breakpoints.some(loaded =>
+			loaded.location.uri.fsPath === bp.location.uri.fsPath &&
+			loaded.location.range.start.line === bp.location.range.start.line &&
+			get_source_breakpoint_column(loaded) === get_source_breakpoint_column(bp)
+		);
+	});
 	
-	if (!thread_id) {
-		const threads = await debug_session.customRequest('threads');
-		thread_id = threads.threads[0]?.id;
+	// loaded breakpoints carry their own origins, replacing whatever the old ones had
+	for (const bp of [...replaced, ...source_breakpoints]) {
+		if (bp instanceof vscode.SourceBreakpoint)
+			symbol_origins.delete(get_source_breakpoint_key(bp.location.uri.fsPath, bp.location.range.start.line + 1));
 	}
 	
-	debug_state.execution_state = 'running';
-	broadcast_event('dap:continued', { threadId: thread_id, singleThread: single_thread });
+	replace_breakpoints(replaced, [...source_breakpoints, ...function_breakpoints]);
 	
-	const request_params = { threadId: thread_id };
-	if (single_thread)
-		request_params.singleThread = true;
+	for (const [key, origin] of origins)
+		symbol_origins.set(key, origin);
 	
-	return await debug_session.customRequest('stepOut', request_params);
-};
-
-const debug_pause = async (thread_id = null, single_thread = false) => {
-	const debug_session = vscode.debug.activeDebugSession;
-	if (!debug_session)
-		throw new Error('No active debug session');
+	const paths = new Set([...replaced, ...source_breakpoints]
+		.filter(bp => bp instanceof vscode.SourceBreakpoint)
+		.map(bp => bp.location.uri.fsPath));
 	
-	if (!thread_id) {
-		const threads = await debug_session.customRequest('threads');
-		thread_id = threads.threads[0]?.id;
-	}
+	await Promise.all([...paths].map(sync_source_breakpoints));
 	
-	const request_params = { threadId: thread_id };
-	if (single_thread)
-		request_params.singleThread = true;
+	const debug_state = get_debug_state();
+	let data_loaded = 0;
+	if (data_breakpoints.length > 0 || (replace && debug_state.data_breakpoints.size > 0)) {
+		if (get_debug_session() && debug_state.supports_data_breakpoints) {
+			const current = replace ? [] : get_data_breakpoints().filter(bp =>
+				!data_breakpoints.some(loaded => loaded.dataId === bp.dataId)
+			);
+			
+			await set_data_breakpoints([...current, ...data_breakpoints]);
+			data_loaded = data_breakpoints.length;
+		}
+	}
 	
-	return await debug_session.customRequest('pause', request_params);
+	return {
+		path: uri.fsPath,
+		source: source_breakpoints.length,
+		function: function_breakpoints.length,
+		data: data_loaded,
+		skipped: data_breakpoints.length - data_loaded,
+		replaced: replaced.length
+	};
 };
 
-const read_memory = async (memory_reference, count = 64, offset = 0) => {
-	const debug_session = vscode.debug.activeDebugSession;
-	if (!debug_session)
-		throw new Error('No active debug session');
+const list_breakpoint_sets = async () => {
+	const directory = get_breakpoint_sets_uri();
+	const sets = [];
 	
+	let entries;
 	try {
-		const result = await debug_session.customRequest('readMemory', {
-			memoryReference: memory_reference.toString(),
-			count: count,
+		entries = await vscode.workspace.fs.readDirectory(directory);
+	} catch (error) {
+		return sets;
+	}
+	
+	for (const [file_name, file_type] of entries) {
+		if (file_type !== vscode.FileType.File || !file_name.endsWith('.json'))
+			continue;
+		
+		const uri = vscode.Uri.joinPath(directory, file_name);
+		let count = null;
+		
+		try {
+			const content = await vscode.workspace.fs.readFile(uri);
+			count = JSON.parse(Buffer.from(content).toString()).breakpoints?.length ?? null;
+		} catch (error) {
+			// unreadable sets are still listed
+		}
+		
+		sets.push({ name: file_name.slice(0, -'.json'.length), path: uri.fsPath, count });
+	}
+	
+	return sets;
+};
+
+const get_exception_filters = () => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	const debug_state = get_debug_state(debug_session);
+	
+	const filters = get_capabilities(debug_session).exceptionBreakpointFilters || [];
+	
+	return filters.map(filter => {
+		const options = debug_state.exception_filter_options.find(option => option.filterId === filter.filter);
+		
+		return {
+			filter: filter.filter,
+			label: filter.label,
+			description: filter.description || null,
+			default: !!filter.default,
+			supports_condition: !!filter.supportsCondition,
+			condition_description: filter.conditionDescription || null,
+			enabled: debug_state.exception_filters.includes(filter.filter) || !!options,
+			condition: options?.condition || null
+		};
+	});
+};
+
+// `filters` is the complete set of enabled filter ids, each optionally with a condition
+const set_exception_filters = async (filters) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	const debug_state = get_debug_state(debug_session);
+	
+	const capabilities = get_capabilities(debug_session);
+	const available = (capabilities.exceptionBreakpointFilters || []).map(filter => filter.filter);
+	
+	for (const { filter } of filters) {
+		if (!available.includes(filter))
+			throw create_error('invalid_arguments', `Unknown exception filter '${filter}'. Available filters: ${available.join(', ') || 'none'}`);
+	}
+	
+	const request = { filters: [] };
+	const conditional = filters.filter(({ condition }) => condition);
+	
+	if (conditional.length > 0 && !capabilities.supportsExceptionFilterOptions)
+		throw create_error('unsupported', 'Exception filter conditions are not supported by the current debug adapter');
+	
+	for (const { filter } of conditional) {
+		if (!capabilities.exceptionBreakpointFilters.find(entry => entry.filter === filter).supportsCondition)
+			throw create_error('unsupported', `Exception filter '${filter}' does not support conditions`);
+	}
+	
+	if (capabilities.supportsExceptionFilterOptions) {
+		request.filterOptions = filters.map(({ filter, condition }) => condition ? { filterId: filter, condition } : { filterId: filter });
+	} else {
+		request.filters = filters.map(({ filter }) => filter);
+	}
+	
+	// there is no api for vscode's exception breakpoint state, so the filters go to the adapter
+	// directly. vscode sends its own again when they are changed in the breakpoints view or a
+	// session starts, the tracker records whichever was sent last
+	try {
+		await debug_session.customRequest('setExceptionBreakpoints', request);
+		debug_state.exception_filters = request.filters;
+		debug_state.exception_filter_options = request.filterOptions || [];
+	} catch (error) {
+		throw create_error('command_failed', `Failed to set exception breakpoints: ${error.message}`);
+	}
+	
+	return get_exception_filters();
+};
+
+const update_exception_filters = async (action, filter = null, condition = null) => {
+	const current = get_exception_filters()
+		.filter(f => f.enabled)
+		.map(f => ({ filter: f.filter, condition: f.condition }));
+	
+	let filters;
+	switch (action) {
+		case 'enable':
+			filters = current.filter(f => f.filter !== filter);
+			filters.push({ filter, condition });
+			break;
+		case 'disable':
+			filters = current.filter(f => f.filter !== filter);
+			break;
+		case 'clear':
+			filters = [];
+			break;
+		default:
+			throw create_error('invalid_arguments', `Unknown exception breakpoint action: ${action}`);
+	}
+	
+	return await set_exception_filters(filters);
+};
+
+const get_exception_info = async (thread_id = null) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	const debug_state = get_debug_state(debug_session);
+	
+	if (!thread_id && debug_state.stop_reason === 'exception')
+		thread_id = debug_state.stop_thread_id;
+	
+	thread_id = await resolve_thread_id(debug_session, thread_id);
+	
+	if (!get_capabilities(debug_session).supportsExceptionInfoRequest) {
+		if (debug_state.stop_reason !== 'exception')
+			throw new Error('Not stopped on an exception');
+		
+		// best effort from the stopped event when the adapter has no exceptionInfo
+		return {
+			thread_id,
+			exception_id: null,
+			description: debug_state.stop_description,
+			break_mode: null,
+			details: null
+		};
+	}
+	
+	try {
+		const result = await debug_session.customRequest('exceptionInfo', { threadId: thread_id });
+		return {
+			thread_id,
+			exception_id: result.exceptionId,
+			description: result.description || null,
+			break_mode: result.breakMode || null,
+			details: result.details || null
+		};
+	} catch (error) {
+		throw new Error(`Failed to get exception info: ${error.message}`);
+	}
+};
+
+const debug_continue = async (thread_id = null, single_thread = false) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	thread_id = await resolve_thread_id(debug_session, thread_id);
+	
+	const request_params = { threadId: thread_id };
+	if (single_thread)
+		request_params.singleThread = true;
+	
+	return await debug_session.customRequest('continue', request_params);
+};
+
+const step_over = async (thread_id = null, single_thread = false) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	thread_id = await resolve_thread_id(debug_session, thread_id);
+	
+	const request_params = { threadId: thread_id };
+	if (single_thread)
+		request_params.singleThread = true;
+	
+	return await debug_session.customRequest('next', request_params);
+};
+
+const step_in = async (thread_id = null, single_thread = false) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	thread_id = await resolve_thread_id(debug_session, thread_id);
+	
+	const request_params = { threadId: thread_id };
+	if (single_thread)
+		request_params.singleThread = true;
+	
+	return await debug_session.customRequest('stepIn', request_params);
+};
+
+const step_out = async (thread_id = null, single_thread = false) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	thread_id = await resolve_thread_id(debug_session, thread_id);
+	
+	const request_params = { threadId: thread_id };
+	if (single_thread)
+		request_params.singleThread = true;
+	
+	return await debug_session.customRequest('stepOut', request_params);
+};
+
+const debug_pause = async (thread_id = null, single_thread = false) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	thread_id = await resolve_thread_id(debug_session, thread_id);
+	
+	const request_params = { threadId: thread_id };
+	if (single_thread)
+		request_params.singleThread = true;
+	
+	return await debug_session.customRequest('pause', request_params);
+};
+
+const read_memory = async (memory_reference, count = 64, offset = 0) => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	try {
+		const result = await debug_session.customRequest('readMemory', {
+			memoryReference: memory_reference.toString(),
+			count: count,
 			offset: offset
 		});
 		
@@ -697,81 +2118,645 @@ const read_memory_via_expression = async (address, count, offset = 0) => {
 	};
 };
 
-const get_debug_profiles = async () => {
-	const workspaceFolders = vscode.workspace.workspaceFolders;
-	if (!workspaceFolders || workspaceFolders.length === 0) {
-		throw new Error('No workspace folders found');
+const get_output = (categories = null, limit = null) => {
+	let entries = output_buffer.to_array();
+	
+	// output of all sessions is kept together, --session narrows it down
+	const session = command_context.getStore()?.session;
+	if (session)
+		entries = entries.filter(entry => entry.session_id === session.id);
+	
+	if (categories && categories.length > 0)
+		entries = entries.filter(entry => categories.includes(entry.category));
+	
+	if (limit && limit > 0)
+		entries = entries.slice(-limit);
+	
+	return entries;
+};
+
+const handle_output_event = (session, body) => {
+	const category = body.category || 'console';
+	
+	// telemetry is adapter-internal and never shown to the user
+	if (category === 'telemetry')
+		return;
+	
+	const entry = {
+		seq: ++output_sequence,
+		category,
+		output: body.output,
+		source: body.source?.path || body.source?.name || null,
+		line: body.line || null,
+		session: session.name,
+		session_id: session.id,
+		timestamp: new Date().toISOString()
+	};
+	
+	output_buffer.push(entry);
+	broadcast_event('dap:output', entry);
+};
+
+const handle_stopped_event = async (session, body) => {
+	const debug_state = get_debug_state(session);
+	const stopped_at_breakpoint = (body.reason || '').includes('breakpoint');
+	const hit_breakpoint_ids = get_hit_breakpoint_ids(session, body.hitBreakpointIds);
+	
+	const sequence = ++debug_state.execution_sequence;
+	
+	debug_state.execution_state = 'stopped';
+	debug_state.stop_reason = body.reason;
+	debug_state.stop_description = body.description || null;
+	debug_state.stop_thread_id = body.threadId ?? null;
+	debug_state.all_threads_stopped = !!body.allThreadsStopped;
+	debug_state.hit_breakpoint_ids = hit_breakpoint_ids;
+	debug_state.stopped_at_breakpoint = stopped_at_breakpoint;
+	debug_state.stop_location = null;
+	debug_state.selected_frame_index = 0;
+	
+	const location = body.threadId !== undefined ? await get_stop_location(session, body.threadId) : null;
+	
+	// execution may have resumed (or stopped again) while the stack trace was in flight,
+	// announcing this stop now would put it after the newer event
+	if (debug_state.execution_sequence !== sequence)
+		return;
+	
+	debug_state.stop_location = location;
+	
+	broadcast_event('dap:stopped', {
+		session: session.name,
+		sessionId: session.id,
+		reason: body.reason,
+		description: body.description || null,
+		text: body.text || null,
+		threadId: body.threadId ?? null,
+		allThreadsStopped: !!body.allThreadsStopped,
+		hitBreakpointIds: hit_breakpoint_ids,
+		location
+	});
+	
+	if (stopped_at_breakpoint) {
+		const breakpoint = location?.file && location?.line ? check_if_stopped_at_breakpoint(location.file, location.line) : null;
+		
+		broadcast_event('dap:breakpoint', {
+			session: session.name,
+			sessionId: session.id,
+			reason: body.reason,
+			hitBreakpointIds: hit_breakpoint_ids,
+			location,
+			condition: breakpoint?.condition,
+			hitCondition: breakpoint?.hitCondition,
+			logMessage: breakpoint?.logMessage
+		});
 	}
+};
+
+const handle_resumed = (session, thread_id, all_threads_continued) => {
+	const debug_state = get_debug_state(session);
+	const was_running = debug_state.execution_state === 'running';
 	
-	const profiles = [];
+	debug_state.execution_sequence++;
+	debug_state.execution_state = 'running';
+	debug_state.stop_reason = null;
+	debug_state.stop_description = null;
+	debug_state.stop_thread_id = null;
+	debug_state.stop_location = null;
+	debug_state.stopped_at_breakpoint = false;
+	debug_state.all_threads_stopped = false;
+	debug_state.hit_breakpoint_ids = [];
+	debug_state.selected_frame_index = 0;
+	
+	// adapters are not required to send `continued` after a resume request,
+	// so resumes are reported from whichever of the two arrives first
+	if (!was_running) {
+		broadcast_event('dap:continued', {
+			session: session.name,
+			sessionId: session.id,
+			threadId: thread_id ?? null,
+			allThreadsContinued: all_threads_continued
+		});
+	}
+};
+
+// lifecycle commands waiting for a session to report back
+const adapter_event_listeners = new Set();
+
+const handle_adapter_event = (session, event, body = {}) => {
+	const debug_state = get_debug_state(session);
+	
+	for (const listener of adapter_event_listeners)
+		listener(session, event, body);
+	
+	switch (event) {
+		case 'initialized':
+			// the adapter accepts breakpoints and configuration from here on
+			broadcast_event('dap:initialized', { session: session.name, sessionId: session.id });
+			break;
+			
+		case 'output':
+			handle_output_event(session, body);
+			break;
+			
+		case 'stopped':
+			handle_stopped_event(session, body).catch(error => {
+				console.error('VDB: Error handling stopped event:', error);
+			});
+			break;
+			
+		case 'continued':
+			handle_resumed(session, body.threadId, body.allThreadsContinued ?? true);
+			break;
+			
+		case 'exited':
+			debug_state.execution_sequence++;
+			debug_state.execution_state = 'exited';
+			debug_state.exit_code = body.exitCode ?? null;
+			broadcast_event('dap:exited', { exitCode: body.exitCode ?? null, session: session.name, sessionId: session.id });
+			break;
+			
+		case 'terminated':
+			debug_state.execution_sequence++;
+			debug_state.execution_state = 'terminated';
+			broadcast_event('dap:terminated', { restart: body.restart ?? null, session: session.name, sessionId: session.id });
+			break;
+			
+		case 'thread':
+			if (body.reason === 'exited' && body.threadId === debug_state.selected_thread_id) {
+				debug_state.selected_thread_id = null;
+				debug_state.selected_frame_index = 0;
+			}
+			
+			broadcast_event('dap:thread', { reason: body.reason, threadId: body.threadId, session: session.name, sessionId: session.id });
+			break;
+			
+		case 'breakpoint':
+			// `dap:breakpoint` is reserved for breakpoint hits
+			broadcast_event('dap:breakpoint_changed', {
+				session: session.name,
+				sessionId: session.id,
+				id: handle_breakpoint_changed(session, body.breakpoint),
+				reason: body.reason,
+				breakpoint: body.breakpoint
+			});
+			break;
+	}
+};
+
+const RESUME_REQUESTS = ['continue', 'next', 'stepIn', 'stepOut', 'stepBack', 'reverseContinue', 'goto'];
+
+const handle_adapter_request = (session, seq, command, args = {}) => {
+	const debug_state = get_debug_state(session);
 	
-	for (const folder of workspaceFolders) {
-		const launchJsonPath = vscode.Uri.joinPath(folder.uri, '.vscode', 'launch.json');
+	if (RESUME_REQUESTS.includes(command))
+		handle_resumed(session, args.threadId, !args.singleThread);
+	
+	// breakpoint results are matched to the request once the adapter responds
+	if (command === 'setBreakpoints' && args.source?.path) {
+		const path = vscode.Uri.file(args.source.path).fsPath;
+		const keys = (args.breakpoints || []).map(bp => get_source_breakpoint_key(path, bp.line, bp.column));
 		
-		try {
-			const content = await vscode.workspace.fs.readFile(launchJsonPath);
-			const launchConfig = JSON.parse(content.toString());
-			
-			if (launchConfig.configurations && Array.isArray(launchConfig.configurations)) {
-				for (const config of launchConfig.configurations) {
-					profiles.push({
-						name: config.name,
-						type: config.type,
-						request: config.request,
-						workspace: folder.name,
-						workspaceUri: folder.uri.toString(),
-						configuration: config
-					});
-				}
+		debug_state.sent_breakpoints.set(path, get_breakpoint_set_signature(args.breakpoints));
+		pending_breakpoint_requests.set(`${session.id}:${seq}`, { prefix: `source:${path}:`, keys });
+	} else if (command === 'setFunctionBreakpoints') {
+		const keys = (args.breakpoints || []).map(bp => get_function_breakpoint_key(bp.name));
+		pending_breakpoint_requests.set(`${session.id}:${seq}`, { prefix: 'function:', keys });
+	}
+	
+	// track the exception filters whether they were set by us or by the vscode UI
+	if (command === 'setExceptionBreakpoints') {
+		debug_state.exception_filters = args.filters || [];
+		debug_state.exception_filter_options = args.filterOptions || [];
+	}
+};
+
+const handle_adapter_message = (session, message) => {
+	if (message.type === 'event') {
+		if (message.event === 'capabilities')
+			session_capabilities.set(session.id, { ...get_capabilities(session), ...message.body?.capabilities });
+		
+		handle_adapter_event(session, message.event, message.body);
+	} else if (message.type === 'response') {
+		if (message.command === 'initialize' && message.success)
+			session_capabilities.set(session.id, message.body || {});
+		
+		const request_key = `${session.id}:${message.request_seq}`;
+		const pending = pending_breakpoint_requests.get(request_key);
+		if (pending) {
+			pending_breakpoint_requests.delete(request_key);
+			
+			// each request replaces the adapter's whole set for that source
+			if (message.success) {
+				clear_breakpoint_status(session, pending.prefix);
+				record_breakpoint_results(session, pending.keys, message.body?.breakpoints);
 			}
-		} catch (error) {
-			// launch.json doesn't exist or is invalid, skip this workspace
 		}
 	}
+};
+
+// launch configurations are read through the configuration service, which parses
+// JSONC and merges folder launch.json, .code-workspace and user settings blocks
+const read_launch_scope = (scope, value_key) => {
+	const launch = vscode.workspace.getConfiguration('launch', scope);
+	
+	return {
+		configurations: launch.inspect('configurations')?.[value_key] || [],
+		compounds: launch.inspect('compounds')?.[value_key] || [],
+		inputs: launch.inspect('inputs')?.[value_key] || []
+	};
+};
+
+const create_profiles = (launch, origin, folder = null) => {
+	const workspace = folder ? folder.name : `(${origin})`;
+	const workspaceUri = folder ? folder.uri.toString() : null;
+	
+	const configurations = launch.configurations
+		.filter(config => config && config.name)
+		.map(config => ({
+			name: config.name,
+			type: config.type,
+			request: config.request,
+			origin,
+			workspace,
+			workspaceUri,
+			inputs: launch.inputs,
+			configuration: config
+		}));
+	
+	const compounds = launch.compounds
+		.filter(compound => compound && compound.name)
+		.map(compound => ({
+			name: compound.name,
+			type: 'compound',
+			request: null,
+			origin,
+			workspace,
+			workspaceUri,
+			compound: true,
+			configurations: (compound.configurations || []).map(entry => typeof entry === 'string' ? entry : entry.name),
+			inputs: launch.inputs
+		}));
+	
+	return [...configurations, ...compounds];
+};
+
+const get_debug_profiles = async () => {
+	const workspaceFolders = vscode.workspace.workspaceFolders || [];
+	const profiles = [];
+	
+	for (const folder of workspaceFolders)
+		profiles.push(...create_profiles(read_launch_scope(folder.uri, 'workspaceFolderValue'), 'folder', folder));
+	
+	// without a .code-workspace file the workspace scope is the folder's launch.json again
+	if (vscode.workspace.workspaceFile)
+		profiles.push(...create_profiles(read_launch_scope(undefined, 'workspaceValue'), 'workspace'));
+	
+	profiles.push(...create_profiles(read_launch_scope(undefined, 'globalValue'), 'user'));
 	
 	return profiles;
 };
 
-const start_debug_session = async (profileName = null) => {
-	const profiles = await get_debug_profiles();
+// `folder:profile` picks a profile of one workspace folder when names repeat
+const find_debug_profile = (profiles, profile_name) => {
+	let matches = profiles.filter(profile => profile.name === profile_name);
+	
+	const separator = profile_name.indexOf(':');
+	if (matches.length === 0 && separator > 0) {
+		const workspace = profile_name.substring(0, separator);
+		const name = profile_name.substring(separator + 1);
+		matches = profiles.filter(profile => profile.workspace === workspace && profile.name === name);
+	}
+	
+	if (matches.length === 0)
+		throw create_error('not_found', `Debug profile '${profile_name}' not found`);
 	
-	if (profiles.length === 0) {
-		throw new Error('No debug configurations found');
+	if (matches.length > 1) {
+		const names = matches.map(profile => `'${profile.workspace}:${profile.name}'`).join(', ');
+		throw create_error('ambiguous', `Debug profile '${profile_name}' exists in several places, use one of: ${names}`);
 	}
 	
-	let targetProfile;
-	if (profileName) {
-		targetProfile = profiles.find(p => p.name === profileName);
-		if (!targetProfile) {
-			throw new Error(`Debug profile '${profileName}' not found`);
+	return matches[0];
+};
+
+// ${input:...} values given on the command line and the variables that do not
+// depend on the editor state are substituted, everything else is left to vscode
+const substitute_launch_variables = (value, folder = null, input_values = {}) => {
+	if (typeof value === 'string') {
+		return value.replace(/\$\{([^}]+)\}/g, (placeholder, variable) => {
+			const [name, ...argument_parts] = variable.split(':');
+			const argument = argument_parts.join(':');
+			
+			if (name === 'workspaceFolder' && argument) {
+				const named_folder = vscode.workspace.workspaceFolders?.find(f => f.name === argument);
+				return named_folder ? named_folder.uri.fsPath : placeholder;
+			}
+			
+			switch (name) {
+				case 'workspaceFolder':
+				case 'workspaceRoot':
+					return folder ? folder.uri.fsPath : placeholder;
+				case 'workspaceFolderBasename':
+					return folder ? folder.name : placeholder;
+				case 'userHome':
+					return os.homedir();
+				case 'pathSeparator':
+					return process.platform === 'win32' ? '\\' : '/';
+				case 'env':
+					return process.env[argument] ?? '';
+				case 'input':
+					return input_values[argument] ?? placeholder;
+				default:
+					return placeholder;
+			}
+		});
+	}
+	
+	if (Array.isArray(value))
+		return value.map(item => substitute_launch_variables(item, folder, input_values));
+	
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+			[key, substitute_launch_variables(item, folder, input_values)]
+		));
+	}
+	
+	return value;
+};
+
+// the cpptools adapters spell a few launch properties differently
+const CPPTOOLS_ADAPTERS = ['cppdbg', 'cppvsdbg'];
+
+const apply_launch_overrides = (configuration, overrides = {}) => {
+	const cpptools = CPPTOOLS_ADAPTERS.includes(configuration.type);
+	
+	if (overrides.program)
+		configuration.program = overrides.program;
+	
+	if (overrides.args)
+		configuration.args = overrides.args;
+	
+	if (overrides.cwd)
+		configuration.cwd = overrides.cwd;
+	
+	if (overrides.env && Object.keys(overrides.env).length > 0) {
+		if (cpptools || Array.isArray(configuration.environment)) {
+			const environment = (configuration.environment || []).filter(variable => !(variable.name in overrides.env));
+			for (const [name, value] of Object.entries(overrides.env))
+				environment.push({ name, value });
+			
+			configuration.environment = environment;
+		} else {
+			configuration.env = { ...configuration.env, ...overrides.env };
 		}
+	}
+	
+	if (overrides.stopOnEntry) {
+		if (cpptools || 'stopAtEntry' in configuration)
+			configuration.stopAtEntry = true;
+		else
+			configuration.stopOnEntry = true;
+	}
+	
+	return configuration;
+};
+
+// ad-hoc configurations launch a program without any launch.json entry
+const create_adhoc_configuration = (overrides) => {
+	if (!overrides.program)
+		throw create_error('invalid_arguments', 'A program is required to launch without a debug profile');
+	
+	const program_name = overrides.program.split(/[\\/]/).pop();
+	return {
+		type: overrides.type,
+		request: 'launch',
+		name: `vdb: ${program_name}`,
+		program: overrides.program
+	};
+};
+
+const start_debug_session = async (profileName = null, overrides = {}, dry_run = false, input_values = {}) => {
+	let targetProfile;
+	
+	if (overrides.type && !profileName) {
+		const folder = vscode.workspace.workspaceFolders?.[0];
+		const configuration = create_adhoc_configuration(overrides);
+		
+		targetProfile = {
+			name: configuration.name,
+			type: configuration.type,
+			workspace: folder?.name || null,
+			workspaceUri: folder?.uri.toString() || null,
+			configuration
+		};
 	} else {
-		// Use the first profile as default
-		targetProfile = profiles[0];
+		const profiles = await get_debug_profiles();
+		
+		if (profiles.length === 0) {
+			throw create_error('not_found', 'No debug configurations found');
+		}
+		
+		if (profileName) {
+			targetProfile = find_debug_profile(profiles, profileName);
+		} else {
+			// Use the first profile as default
+			targetProfile = profiles[0];
+		}
+		
+		if (targetProfile.compound)
+			return await start_compound(targetProfile, overrides, dry_run);
+		
+		if (overrides.type && overrides.type !== targetProfile.type)
+			throw create_error('invalid_arguments', `Debug profile '${targetProfile.name}' uses the '${targetProfile.type}' adapter, not '${overrides.type}'`);
 	}
 	
 	const workspaceFolder = vscode.workspace.workspaceFolders?.find(
 		f => f.uri.toString() === targetProfile.workspaceUri
 	);
 	
-	if (!workspaceFolder) {
-		throw new Error('Workspace folder not found for debug profile');
+	// workspace and user level configurations as well as ad-hoc ones run without a folder
+	if (!workspaceFolder && targetProfile.workspaceUri) {
+		throw create_error('not_found', 'Workspace folder not found for debug profile');
 	}
 	
+	// overrides go into a copy, launch.json itself is never touched
+	const configuration = apply_launch_overrides(
+		substitute_launch_variables(targetProfile.configuration, workspaceFolder, input_values),
+		overrides
+	);
+	
+	const result = {
+		profile: targetProfile.name,
+		type: targetProfile.type,
+		workspace: targetProfile.workspace
+	};
+	
+	if (dry_run)
+		return { ...result, dry_run: true, configuration };
+	
 	const success = await vscode.debug.startDebugging(
 		workspaceFolder, 
-		targetProfile.configuration
+		configuration
 	);
 	
 	if (!success) {
 		throw new Error('Failed to start debug session');
 	}
 	
-	return {
-		profile: targetProfile.name,
-		type: targetProfile.type,
-		workspace: targetProfile.workspace
+	return result;
+};
+
+// vscode resolves the compound's configurations (and their inputs) itself
+const start_compound = async (profile, overrides = {}, dry_run = false) => {
+	const overridden = Object.entries(overrides).filter(([key, value]) => value !== undefined && value !== null);
+	if (overridden.length > 0)
+		throw create_error('invalid_arguments', `Launch overrides cannot be applied to the compound '${profile.name}'`);
+	
+	const result = {
+		profile: profile.name,
+		type: 'compound',
+		workspace: profile.workspace,
+		configurations: profile.configurations
 	};
+	
+	if (dry_run)
+		return { ...result, dry_run: true };
+	
+	const workspaceFolder = vscode.workspace.workspaceFolders?.find(f => f.uri.toString() === profile.workspaceUri);
+	if (!await vscode.debug.startDebugging(workspaceFolder, profile.name))
+		throw new Error(`Failed to start compound '${profile.name}'`);
+	
+	return result;
+};
+
+const SESSION_TERMINATE_TIMEOUT = 10000;
+
+// must be called before the request that ends the session, the event can fire before it responds
+const wait_for_session_terminated = (session, timeout = SESSION_TERMINATE_TIMEOUT) => {
+	return new Promise((resolve, reject) => {
+		if (!debug_sessions.has(session.id)) {
+			resolve();
+			return;
+		}
+		
+		const timer = setTimeout(() => {
+			listener.dispose();
+			reject(create_error('timeout', `Debug session '${session.name}' did not terminate within ${timeout / 1000}s`));
+		}, timeout);
+		
+		const listener = vscode.debug.onDidTerminateDebugSession(terminated => {
+			if (terminated.id !== session.id)
+				return;
+			
+			clearTimeout(timer);
+			listener.dispose();
+			resolve();
+		});
+	});
+};
+
+const require_debug_session = () => {
+	const debug_session = get_debug_session();
+	if (!debug_session)
+		throw create_error('no_session', 'No active debug session');
+	
+	return debug_session;
+};
+
+// stopping a child session (e.g. a node worker) would leave its parent running
+const get_root_session = (session) => {
+	while (session.parentSession)
+		session = session.parentSession;
+	
+	return session;
+};
+
+const stop_debug_session = async (timeout = SESSION_TERMINATE_TIMEOUT) => {
+	// a session named with --session is stopped as asked, the focused one stops its whole tree
+	const named_session = command_context.getStore()?.session;
+	const session = named_session ?? get_root_session(require_debug_session());
+	const terminated = wait_for_session_terminated(session, timeout);
+	
+	await vscode.debug.stopDebugging(session);
+	await terminated;
+	
+	return { session: session.name };
+};
+
+// events an adapter sends once it is running again after a restart
+const RESTART_READY_EVENTS = ['initialized', 'process', 'stopped'];
+
+// a restart request keeps the session, a relaunch may bring a new root session of the same name
+const wait_for_session_restarted = (session, timeout = SESSION_TERMINATE_TIMEOUT) => {
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			adapter_event_listeners.delete(listener);
+			reject(create_error('timeout', `Debug session '${session.name}' did not come back within ${timeout / 1000}s of restarting`));
+		}, timeout);
+		
+		const listener = (event_session, event) => {
+			const restarted = event_session.id === session.id || (!event_session.parentSession && event_session.name === session.name);
+			if (!restarted || !RESTART_READY_EVENTS.includes(event))
+				return;
+			
+			clearTimeout(timer);
+			adapter_event_listeners.delete(listener);
+			resolve();
+		};
+		
+		adapter_event_listeners.add(listener);
+	});
+};
+
+const restart_debug_session = async (timeout = SESSION_TERMINATE_TIMEOUT) => {
+	const session = get_root_session(require_debug_session());
+	const method = get_capabilities(session).supportsRestartRequest ? 'restart' : 'relaunch';
+	const restarted = wait_for_session_restarted(session, timeout);
+	
+	// vscode's own restart runs the pre-launch task and picks the restart request or a
+	// relaunch itself, the context makes it restart this session rather than the focused one
+	try {
+		await vscode.commands.executeCommand('workbench.action.debug.restart', undefined, { sessionId: session.id });
+	} catch (error) {
+		restarted.catch(() => {});
+		throw error;
+	}
+	
+	await restarted;
+	return { session: session.name, method };
+};
+
+const terminate_debug_session = async (timeout = SESSION_TERMINATE_TIMEOUT) => {
+	const session = require_debug_session();
+	const terminated = wait_for_session_terminated(session, timeout);
+	
+	// like vscode, adapters without the terminate request are stopped instead
+	if (get_capabilities(session).supportsTerminateRequest) {
+		await session.customRequest('terminate', {});
+		await terminated;
+		return { session: session.name, method: 'terminate' };
+	}
+	
+	await vscode.debug.stopDebugging(session);
+	await terminated;
+	
+	return { session: session.name, method: 'stop' };
+};
+
+const detach_debug_session = async (keep_running = false, timeout = SESSION_TERMINATE_TIMEOUT) => {
+	const session = require_debug_session();
+	const args = { terminateDebuggee: false };
+	
+	// adapters without supportSuspendDebuggee decide themselves, so a stopped debuggee is resumed first
+	if (get_capabilities(session).supportSuspendDebuggee) {
+		args.suspendDebuggee = !keep_running;
+	} else if (keep_running && get_debug_state(session).execution_state === 'stopped') {
+		await session.customRequest('continue', { threadId: await resolve_thread_id(session) });
+	}
+	
+	const terminated = wait_for_session_terminated(session, timeout);
+	await session.customRequest('disconnect', args);
+	await terminated;
+	
+	return { session: session.name, keep_running };
 };
 
 const get_stop_location = async (session, threadId) => {
@@ -793,221 +2778,313 @@ const get_stop_location = async (session, threadId) => {
 };
 
 const check_if_stopped_at_breakpoint = (file, line) => {
-	const breakpoints = get_breakpoints();
-	const matchingBreakpoint = breakpoints.find(bp => {
-		// Normalize file paths for comparison
-		const bpFile = bp.file.replace(/\\/g, '/');
-		const stopFile = file.replace(/\\/g, '/');
-		return (bpFile === stopFile || bpFile.endsWith(stopFile) || stopFile.endsWith(bpFile)) && bp.line === line;
-	});
-	return matchingBreakpoint;
+	// adapters usually report absolute paths, a bare source name only matches by its trailing segments
+	const breakpoints = get_breakpoints().filter(bp => bp.type === 'source' && bp.line === line);
+	return breakpoints.find(bp => is_same_path(bp.file, file)) ||
+		(is_absolute_path(file) ? undefined : breakpoints.find(bp => path_ends_with(bp.file, file)));
 };
 
 const handle_command = async (client, message) => {
 	const { id, command, data = {} } = message;
 	
 	if (!id) {
-		send_error(client, null, 'Missing message ID');
+		send_error(client, null, 'Missing message ID', 'invalid_arguments');
 		return;
 	}
 	
 	if (!command) {
-		send_error(client, id, 'Missing command');
+		send_error(client, id, 'Missing command', 'invalid_arguments');
 		return;
 	}
 	
 	try {
-		let result;
+		// --session routes every request the command makes to that session
+		const session = message.session ? find_debug_session(message.session) : null;
+		const result = await command_context.run({ session }, () => execute_command(command, data));
 		
-		switch (command) {
-			case 'status':
-				result = await handle_status_command();
-				break;
-				
-			case 'variables':
-				if (data.name) {
-					result = await get_variable(data.name, data.threadId);
-				} else {
-					const variables = await get_variables(data.threadId);
-					result = { variables };
+		send_response(client, id, true, result);
+	} catch (error) {
+		send_error(client, id, error.message, ERROR_CODES.has(error.code) ? error.code : null);
+	}
+};
+
+const execute_command = async (command, data) => {
+	let result;
+	
+	switch (command) {
+		case 'status':
+			result = await handle_status_command();
+			break;
+			
+		case 'selection':
+			if (data.frameOffset !== undefined && data.frameOffset !== null) {
+				result = await move_frame(data.frameOffset);
+			} else if (data.frameIndex !== undefined && data.frameIndex !== null) {
+				result = await select_frame(data.frameIndex, data.threadId);
+			} else if (data.threadId !== undefined && data.threadId !== null) {
+				result = await select_thread(data.threadId);
+			} else {
+				result = await get_selection();
+			}
+			break;
+			
+		case 'variables':
+			if (data.name) {
+				result = await get_variable(data.name, data.threadId, data.frameIndex, data.depth || 0);
+			} else {
+				const variables = await get_variables(data.threadId, data.frameIndex);
+				result = { variables: await expand_variables(variables, data.depth || 0) };
+			}
+			break;
+			
+		case 'setVariable':
+			if (!data.name || data.value === undefined) {
+				throw create_error('invalid_arguments', 'Variable name and value are required');
+			}
+			result = await set_variable(data.name, String(data.value), data.threadId, data.frameIndex);
+			break;
+			
+		case 'setExpression':
+			if (!data.expression || data.value === undefined) {
+				throw create_error('invalid_arguments', 'Expression and value are required');
+			}
+			result = await set_expression(data.expression, String(data.value), data.threadId, data.frameIndex);
+			break;
+			
+		case 'evaluate':
+			if (!data.expression) {
+				throw create_error('invalid_arguments', 'Expression is required');
+			}
+			result = await evaluate_expression(data.expression, data.frameId, data.context, data.threadId, data.frameIndex);
+			break;
+			
+		case 'callstack':
+			result = await get_call_stack(data.threadId, data.all ?? true);
+			break;
+			
+		case 'threads':
+			const detailed = data.detailed || false;
+			const threads = await get_threads(detailed);
+			const selection = await get_selection();
+			result = {
+				threads,
+				selected_thread_id: selection.thread_id ?? threads[0]?.id ?? null
+			};
+			break;
+			
+		case 'registers':
+			const registers = await get_registers(data.threadId, data.frameIndex);
+			result = { registers };
+			break;
+			
+		case 'disassemble':
+			result = await get_disassembly(data.address, data.count, data.offset, data.threadId, data.frameIndex);
+			break;
+			
+		case 'breakpoints':
+			if (data.action === 'list' || !data.action) {
+				const breakpoints = get_breakpoints();
+				const dataBreakpoints = get_data_breakpoints();
+				result = { breakpoints: [...breakpoints, ...dataBreakpoints] };
+			} else if (data.action === 'set') {
+				if (!data.file || !data.lines) {
+					throw create_error('invalid_arguments', 'File and lines are required for set action');
 				}
-				break;
-				
-			case 'evaluate':
-				if (!data.expression) {
-					throw new Error('Expression is required');
+				result = await set_breakpoints(await resolve_source_path(data.file, data.cwd), data.lines, data.condition, data.column);
+			} else if (data.action === 'clear') {
+				if (!data.file) {
+					throw create_error('invalid_arguments', 'File is required for clear action');
 				}
-				result = await evaluate_expression(data.expression, data.frameId, data.context);
-				break;
-				
-			case 'callstack':
-				result = await get_call_stack();
-				break;
-				
-			case 'threads':
-				const detailed = data.detailed || false;
-				const threads = await get_threads(detailed);
-				result = { threads };
-				break;
-				
-			case 'registers':
-				const registers = await get_registers();
-				result = { registers };
-				break;
-				
-			case 'disassemble':
-				result = await get_disassembly(data.address, data.count, data.offset);
-				break;
-				
-			case 'breakpoints':
-				if (data.action === 'list' || !data.action) {
-					const breakpoints = get_breakpoints();
-					const dataBreakpoints = get_data_breakpoints();
-					result = { breakpoints: [...breakpoints, ...dataBreakpoints] };
-				} else if (data.action === 'set') {
-					if (!data.file || !data.lines) {
-						throw new Error('File and lines are required for set action');
-					}
-					result = await set_breakpoints(data.file, data.lines, data.condition);
-				} else if (data.action === 'clear') {
-					if (!data.file) {
-						throw new Error('File is required for clear action');
-					}
-					result = await clear_breakpoints(data.file, data.lines);
-				} else {
-					throw new Error(`Unknown breakpoint action: ${data.action}`);
+				result = await clear_breakpoints(await resolve_source_path(data.file, data.cwd), data.lines, data.column);
+			} else if (data.action === 'update') {
+				if (!data.all && (!data.file || !data.lines)) {
+					throw create_error('invalid_arguments', 'File and lines are required for update action');
 				}
-				break;
 				
-			case 'dataBreakpointInfo':
-				if (!data.name) {
-					throw new Error('Variable name is required');
+				const changes = {};
+				for (const key of ['enabled', 'condition', 'hitCondition', 'logMessage']) {
+					if (data[key] !== undefined && data[key] !== null)
+						changes[key] = data[key];
 				}
-				result = await get_data_breakpoint_info(data.name, data.variablesReference);
-				break;
 				
-			case 'setDataBreakpoints':
-				if (!Array.isArray(data.breakpoints)) {
-					throw new Error('Breakpoints array is required');
+				const file = data.all ? null : await resolve_source_path(data.file, data.cwd);
+				result = await update_breakpoints(file, data.lines, changes, data.column);
+			} else if (data.action === 'setSymbol') {
+				if (!data.symbol) {
+					throw create_error('invalid_arguments', 'Symbol is required for setSymbol action');
 				}
-				result = await set_data_breakpoints(data.breakpoints);
-				break;
-				
-			case 'control':
-				if (!data.action) {
-					throw new Error('Control action is required');
+				result = await set_symbol_breakpoint(data.symbol, data.file, data.condition, data.cwd);
+			} else if (data.action === 'resolveSymbols') {
+				result = await resolve_symbol_breakpoints();
+			} else if (data.action === 'setFunction') {
+				if (!data.function) {
+					throw create_error('invalid_arguments', 'Function name is required for setFunction action');
 				}
-				switch (data.action) {
-					case 'continue':
-						result = await debug_continue(data.threadId, data.singleThread);
-						break;
-					case 'stepOver':
-						result = await step_over(data.threadId, data.singleThread);
-						break;
-					case 'stepIn':
-						result = await step_in(data.threadId, data.singleThread);
-						break;
-					case 'stepOut':
-						result = await step_out(data.threadId, data.singleThread);
-						break;
-					case 'pause':
-						result = await debug_pause(data.threadId, data.singleThread);
-						break;
-					default:
-						throw new Error(`Unknown control action: ${data.action}`);
+				result = await set_function_breakpoint(data.function, data.condition);
+			} else if (data.action === 'clearFunction') {
+				if (!data.function) {
+					throw create_error('invalid_arguments', 'Function name is required for clearFunction action');
 				}
-				break;
-				
-			case 'memory':
-				if (!data.address) {
-					throw new Error('Memory address is required');
+				result = await clear_function_breakpoints(data.function);
+			} else {
+				throw create_error('invalid_arguments', `Unknown breakpoint action: ${data.action}`);
+			}
+			break;
+			
+		case 'breakpointSets':
+			if (data.action === 'list' || !data.action) {
+				result = { sets: await list_breakpoint_sets() };
+			} else if (data.action === 'save') {
+				result = await save_breakpoint_set(data.name, data.file);
+			} else if (data.action === 'load') {
+				result = await load_breakpoint_set(data.name, data.file, !!data.replace);
+			} else {
+				throw create_error('invalid_arguments', `Unknown breakpoint set action: ${data.action}`);
+			}
+			break;
+			
+		case 'dataBreakpointInfo':
+			if (!data.name) {
+				throw create_error('invalid_arguments', 'Variable name is required');
+			}
+			result = await get_data_breakpoint_info(data.name, data.variablesReference);
+			break;
+			
+		case 'setDataBreakpoints':
+			if (!Array.isArray(data.breakpoints)) {
+				throw create_error('invalid_arguments', 'Breakpoints array is required');
+			}
+			result = await set_data_breakpoints(data.breakpoints);
+			break;
+			
+		case 'exceptionBreakpoints':
+			if (data.action === 'list' || !data.action) {
+				result = { filters: get_exception_filters() };
+			} else {
+				if (data.action !== 'clear' && !data.filter) {
+					throw create_error('invalid_arguments', 'Exception filter is required');
 				}
-				result = await read_memory(data.address, data.count, data.offset);
-				break;
-				
-			case 'profiles':
-				const profiles = await get_debug_profiles();
-				result = { profiles };
-				break;
-				
-			case 'start':
-				result = await start_debug_session(data.profile);
-				break;
-				
-			default:
-				throw new Error(`Unknown command: ${command}`);
-		}
-		
-		send_response(client, id, true, result);
-		
-	} catch (error) {
-		send_error(client, id, error.message);
+				result = { filters: await update_exception_filters(data.action, data.filter, data.condition) };
+			}
+			break;
+			
+		case 'exceptionInfo':
+			result = await get_exception_info(data.threadId);
+			break;
+			
+		case 'control':
+			if (!data.action) {
+				throw create_error('invalid_arguments', 'Control action is required');
+			}
+			switch (data.action) {
+				case 'continue':
+					result = await debug_continue(data.threadId, data.singleThread);
+					break;
+				case 'stepOver':
+					result = await step_over(data.threadId, data.singleThread);
+					break;
+				case 'stepIn':
+					result = await step_in(data.threadId, data.singleThread);
+					break;
+				case 'stepOut':
+					result = await step_out(data.threadId, data.singleThread);
+					break;
+				case 'pause':
+					result = await debug_pause(data.threadId, data.singleThread);
+					break;
+				default:
+					throw create_error('invalid_arguments', `Unknown control action: ${data.action}`);
+			}
+			break;
+			
+		case 'memory':
+			if (!data.address) {
+				throw create_error('invalid_arguments', 'Memory address is required');
+			}
+			result = await read_memory(data.address, data.count, data.offset);
+			break;
+			
+		case 'output':
+			result = { entries: get_output(data.categories, data.limit) };
+			break;
+			
+		case 'profiles':
+			const profiles = await get_debug_profiles();
+			result = { profiles };
+			break;
+			
+		case 'start':
+			result = await start_debug_session(data.profile, data.overrides, !!data.dryRun, data.inputs);
+			break;
+			
+		case 'sessions':
+			result = { sessions: get_sessions() };
+			break;
+			
+		case 'stop':
+			result = await stop_debug_session(data.timeout);
+			break;
+			
+		case 'restart':
+			result = await restart_debug_session(data.timeout);
+			break;
+			
+		case 'terminate':
+			result = await terminate_debug_session(data.timeout);
+			break;
+			
+		case 'detach':
+			result = await detach_debug_session(!!data.keepRunning, data.timeout);
+			break;
+			
+		default:
+			throw create_error('invalid_arguments', `Unknown command: ${command}`);
 	}
+	
+	return result;
 };
 
 const handle_status_command = async () => {
-	let currentExecutionState = debug_state.execution_state;
-	let currentStopLocation = debug_state.stop_location;
-	let stoppedAtBreakpoint = debug_state.stopped_at_breakpoint;
-	
-	if (current_session) {
-		try {
-			const callStack = await get_call_stack();
-			if (callStack && callStack.length > 0 && callStack[0].frames && callStack[0].frames.length > 0) {
-				const topFrame = callStack[0].frames[0];
-				currentExecutionState = 'stopped';
-				currentStopLocation = {
-					file: topFrame.source,
-					line: topFrame.line,
-					function: topFrame.name,
-					column: topFrame.column
-				};
-				
-				if (topFrame.source && topFrame.line) {
-					const breakpoint = check_if_stopped_at_breakpoint(topFrame.source, topFrame.line);
-					stoppedAtBreakpoint = !!breakpoint;
-					if (breakpoint) {
-						debug_state.execution_state = 'stopped';
-						debug_state.stop_reason = 'breakpoint';
-						debug_state.stop_location = currentStopLocation;
-						debug_state.stopped_at_breakpoint = true;
-					}
-				}
-			}
-		} catch (error) {
-			if (currentExecutionState === 'unknown')
-				currentExecutionState = 'running';
-		}
-	}
+	const session = get_debug_session();
+	const debug_state = get_debug_state(session);
 	
 	return {
-		bridge_active: !!wss,
-		debug_session_active: !!current_session,
-		session_name: current_session?.name || null,
-		session_type: current_session?.type || null,
+		bridge_active: !!wss || !!socket_server,
+		debug_session_active: !!session,
+		session_id: session?.id || null,
+		session_name: session?.name || null,
+		session_type: session?.type || null,
 		is_running: debug_state.is_running,
-		execution_state: currentExecutionState,
-		stop_reason: debug_state.stop_reason || (stoppedAtBreakpoint ? 'breakpoint' : null),
-		stop_location: currentStopLocation,
-		stopped_at_breakpoint: stoppedAtBreakpoint,
+		execution_state: debug_state.execution_state,
+		stop_reason: debug_state.stop_reason,
+		stop_description: debug_state.stop_description,
+		stop_thread_id: debug_state.stop_thread_id,
+		all_threads_stopped: debug_state.all_threads_stopped,
+		hit_breakpoint_ids: debug_state.hit_breakpoint_ids,
+		stop_location: debug_state.stop_location,
+		stopped_at_breakpoint: debug_state.stopped_at_breakpoint,
+		exit_code: debug_state.exit_code,
 		timestamp: new Date().toISOString(),
-		port: wss?.address()?.port || null
+		port: wss?.address()?.port || null,
+		instance_id
 	};
 };
 
+const handle_client_message = async (client, raw_message) => {
+	try {
+		const message = JSON.parse(raw_message.toString());
+		await handle_command(client, message);
+	} catch (error) {
+		console.warn('VDB: Invalid message from client:', error.message);
+		send_error(client, null, `Invalid message format: ${error.message}`, 'invalid_arguments');
+	}
+};
+
 const handle_websocket_connection = (ws) => {
 	console.log('VDB: Client connected');
 	clients.add(ws);
 	
-	ws.on('message', async (raw_message) => {
-		try {
-			const message = JSON.parse(raw_message.toString());
-			await handle_command(ws, message);
-		} catch (error) {
-			console.warn('VDB: Invalid message from client:', error.message);
-			send_error(ws, null, `Invalid message format: ${error.message}`);
-		}
-	});
+	ws.on('message', (raw_message) => handle_client_message(ws, raw_message));
 	
 	ws.on('close', () => {
 		console.log('VDB: Client disconnected');
@@ -1020,24 +3097,96 @@ const handle_websocket_connection = (ws) => {
 	});
 };
 
+// gives socket connections the interface of a ws client, so responses and
+// events go through the same code. messages are newline-delimited JSON
+const create_socket_client = (socket) => ({
+	OPEN: 'open',
+	
+	get readyState() {
+		return socket.writable ? 'open' : 'closed';
+	},
+	
+	send: (message) => {
+		socket.write(`${message}\n`);
+	},
+	
+	close: () => {
+		socket.end();
+	}
+});
+
+const handle_socket_connection = (socket) => {
+	const client = create_socket_client(socket);
+	let buffer = '';
+	
+	console.log('VDB: Client connected');
+	clients.add(client);
+	
+	socket.setEncoding('utf8');
+	socket.on('data', (chunk) => {
+		buffer += chunk;
+		
+		let index;
+		while ((index = buffer.indexOf('\n')) !== -1) {
+			const line = buffer.substring(0, index);
+			buffer = buffer.substring(index + 1);
+			
+			if (line.trim())
+				handle_client_message(client, line);
+		}
+	});
+	
+	socket.on('close', () => {
+		console.log('VDB: Client disconnected');
+		clients.delete(client);
+	});
+	
+	socket.on('error', (error) => {
+		console.warn('VDB: Client error:', error.message);
+		clients.delete(client);
+	});
+};
+
+// sessions are registered as soon as their tracker is created, so adapter
+// messages sent before vscode reports the session as started are not lost
+const register_debug_session = (session) => {
+	if (!debug_sessions.has(session.id)) {
+		debug_sessions.set(session.id, {
+			session,
+			parent_id: session.parentSession?.id || null,
+			state: create_debug_state(),
+			started_at: null
+		});
+	}
+	
+	return debug_sessions.get(session.id);
+};
+
 const setup_debug_listeners = () => {
 	vscode.debug.onDidStartDebugSession(async (session) => {
 		try {
-			current_session = session;
-			debug_state.is_running = true;
-			debug_state.execution_state = 'running';
-			debug_state.stop_reason = null;
-			debug_state.stop_location = null;
-			debug_state.stopped_at_breakpoint = false;
+			// a new launch drops the output of sessions that have ended. sessions still running
+			// (compounds, concurrent launches) keep theirs, and so does this one: its tracker
+			// may have captured output before vscode reports it as started
+			if (!session.parentSession)
+				output_buffer.retain(entry => debug_sessions.has(entry.session_id));
+			
+			const entry = register_debug_session(session);
+			entry.started_at = new Date().toISOString();
+			entry.state.is_running = true;
+			entry.state.execution_state = 'running';
+			
 			console.log(`VDB: Debug session started - ${session.name} (${session.type})`);
 			
 			setTimeout(async () => {
-				await check_data_breakpoint_capabilities();
+				await check_data_breakpoint_capabilities(session);
 			}, 1000);
 			
 			broadcast_event('dap:session_started', {
+				id: session.id,
 				name: session.name,
-				type: session.type
+				type: session.type,
+				parent_id: session.parentSession?.id || null
 			});
 		} catch (error) {
 			console.error('VDB: Error in onDidStartDebugSession:', error);
@@ -1046,170 +3195,357 @@ const setup_debug_listeners = () => {
 	
 	vscode.debug.onDidTerminateDebugSession(session => {
 		try {
-			if (session === current_session) {
-				console.log(`VDB: Debug session terminated - ${session.name}`);
-				
-				broadcast_event('dap:session_terminated', {
-					name: session.name,
-					type: session.type
-				});
-				
-				current_session = null;
-				debug_state = { 
-					variables: {}, 
-					call_stack: [], 
-					threads: [],
-					breakpoints: new Set(),
-					data_breakpoints: new Set(),
-					is_running: false,
-					current_frame: null,
-					execution_state: 'unknown',
-					stop_reason: null,
-					stop_location: null,
-					stopped_at_breakpoint: false,
-					supports_data_breakpoints: false
-				};
+			debug_sessions.delete(session.id);
+			session_capabilities.delete(session.id);
+			
+			for (const key of pending_breakpoint_requests.keys()) {
+				if (key.startsWith(`${session.id}:`))
+					pending_breakpoint_requests.delete(key);
 			}
+			
+			console.log(`VDB: Debug session terminated - ${session.name}`);
+			
+			// adapter-reported status is meaningless once the adapter is gone
+			breakpoint_status.delete(session.id);
+			
+			broadcast_event('dap:session_terminated', {
+				id: session.id,
+				name: session.name,
+				type: session.type,
+				parent_id: session.parentSession?.id || null
+			});
 		} catch (error) {
 			console.error('VDB: Error in onDidTerminateDebugSession:', error);
 		}
 	});
 	
-	vscode.debug.onDidChangeActiveDebugSession(session => {
-		try {
-			if (session && session === current_session) {
-				debug_state.execution_state = 'stopped';
-				debug_state.stop_reason = 'step';
-				
-				broadcast_event('dap:stopped', {
-					reason: 'step',
-					threadId: null
-				});
-			}
-		} catch (error) {
-			console.error('VDB: Error in onDidChangeActiveDebugSession:', error);
-		}
+	// execution state and stop events come from the debug adapter tracker,
+	// the active stack item only reflects what the user has focused
+	vscode.debug.onDidChangeActiveStackItem((stack_item) => {
+		if (stack_item)
+			get_debug_state(stack_item.session).current_frame = stack_item;
+	});
+	
+	vscode.debug.onDidChangeBreakpoints(() => {
+		prune_symbol_origins();
 	});
+	
+	// keeps the instance file current for `vdb instances`
+	vscode.debug.onDidChangeActiveDebugSession(() => {
+		register_instance();
+	});
+	
+	vscode.workspace.onDidChangeWorkspaceFolders(() => {
+		register_instance();
+	});
+};
 
-	vscode.debug.onDidChangeActiveStackItem(async (stack_item) => {
-		try {
-			if (stack_item) {
-				debug_state.current_frame = stack_item;
-				
-				let location = { file: null, line: null, function: null, column: null };
+const setup_adapter_tracker = (context) => {
+	context.subscriptions.push(
+		vscode.debug.registerDebugAdapterTrackerFactory('*', {
+			createDebugAdapterTracker: (session) => {
+				register_debug_session(session);
 				
-				if (stack_item.session && stack_item.threadId && stack_item.frameId) {
-					try {
-						const stackTrace = await stack_item.session.customRequest('stackTrace', { 
-							threadId: stack_item.threadId,
-							startFrame: 0,
-							levels: 1
-						});
-						
-						if (stackTrace.stackFrames && stackTrace.stackFrames.length > 0) {
-							const frame = stackTrace.stackFrames[0];
-							location = {
-								file: frame.source?.path || null,
-								line: frame.line || null,
-								function: frame.name || null,
-								column: frame.column || null
-							};
+				return {
+					onWillReceiveMessage: (message) => {
+						try {
+							if (message.type === 'request')
+								handle_adapter_request(session, message.seq, message.command, message.arguments);
+						} catch (error) {
+							console.error('VDB: Error handling debug adapter request:', error);
 						}
-					} catch (error) {
-						console.warn('VDB: Failed to get stack trace:', error.message);
-					}
-				}
-				
-				if (!location.file && !location.line && debug_state.execution_state === 'stopped') {
-					debug_state.execution_state = 'running';
-					debug_state.stop_reason = null;
-					debug_state.stop_location = null;
-					debug_state.stopped_at_breakpoint = false;
-					
-					broadcast_event('dap:continued', {
-						threadId: stack_item.threadId || null
-					});
-				} else if (location.file || location.line) {
-					debug_state.execution_state = 'stopped';
-					debug_state.stop_location = location;
+					},
 					
-					let reason = 'step';
-					if (location.file && location.line) {
-						const breakpoint = check_if_stopped_at_breakpoint(location.file, location.line);
-						debug_state.stopped_at_breakpoint = !!breakpoint;
-						
-						if (breakpoint) {
-							reason = 'breakpoint';
-							broadcast_event('dap:breakpoint', {
-								location,
-								condition: breakpoint.condition,
-								hitCondition: breakpoint.hitCondition,
-								logMessage: breakpoint.logMessage
-							});
+					onDidSendMessage: (message) => {
+						try {
+							handle_adapter_message(session, message);
+						} catch (error) {
+							console.error('VDB: Error handling debug adapter message:', error);
 						}
 					}
-					
-					broadcast_event('dap:stopped', {
-						reason,
-						threadId: stack_item.threadId || null,
-						location
-					});
-				}
+				};
 			}
-		} catch (error) {
-			console.error('VDB: Error in onDidChangeActiveStackItem:', error);
+		})
+	);
+};
+
+// shared by the windows without vdb.token, the cli falls back to it when no instance file names a token
+const BRIDGE_DIRECTORY = path.join(os.homedir(), '.vdb');
+const TOKEN_FILE = path.join(BRIDGE_DIRECTORY, 'token');
+
+let bridge_token = null;
+
+// every window registers itself here so the cli can find the one owning its workspace
+const INSTANCES_DIRECTORY = path.join(BRIDGE_DIRECTORY, 'instances');
+const instance_id = crypto.randomBytes(4).toString('hex');
+const instance_started_at = new Date().toISOString();
+
+let server_host = null;
+let socket_path = null;
+
+const get_instance_file = () => path.join(INSTANCES_DIRECTORY, `${instance_id}.json`);
+
+const register_instance = () => {
+	const port = wss?.address()?.port ?? null;
+	if (!port && !socket_server?.listening)
+		return;
+	
+	const session = vscode.debug.activeDebugSession;
+	const instance = {
+		id: instance_id,
+		pid: process.pid,
+		transport: socket_server ? 'socket' : 'websocket',
+		host: socket_server ? null : server_host,
+		port,
+		socket: socket_server ? socket_path : null,
+		workspace: vscode.workspace.name || null,
+		folders: (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath),
+		session: session ? { id: session.id, name: session.name, type: session.type } : null,
+		// windows can have their own vdb.token, the cli takes it from here
+		token: socket_server ? null : bridge_token,
+		started_at: instance_started_at
+	};
+	
+	try {
+		fs.mkdirSync(INSTANCES_DIRECTORY, { recursive: true });
+		fs.chmodSync(INSTANCES_DIRECTORY, 0o700);
+		fs.writeFileSync(get_instance_file(), JSON.stringify(instance, null, '\t'), { mode: 0o600 });
+		fs.chmodSync(get_instance_file(), 0o600);
+	} catch (error) {
+		console.warn('VDB: Failed to register instance:', error.message);
+	}
+};
+
+const unregister_instance = () => {
+	try {
+		fs.rmSync(get_instance_file(), { force: true });
+	} catch (error) {
+		console.warn('VDB: Failed to unregister instance:', error.message);
+	}
+};
+
+const is_loopback_host = (host) => {
+	return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+};
+
+// the configured token wins and leaves the shared file alone, otherwise the one written
+// by another window is reused and the file is only created when missing. modes are ignored
+// on windows, where the home directory is private to the user already
+const load_bridge_token = (configured_token) => {
+	// mkdir applies its mode only to directories it creates
+	fs.mkdirSync(BRIDGE_DIRECTORY, { recursive: true });
+	fs.chmodSync(BRIDGE_DIRECTORY, 0o700);
+	
+	if (configured_token)
+		return configured_token;
+	
+	try {
+		const token = fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+		if (token)
+			return token;
+	} catch (error) {
+		// not written yet
+	}
+	
+	const token = crypto.randomBytes(32).toString('hex');
+	fs.writeFileSync(TOKEN_FILE, token, { mode: 0o600 });
+	fs.chmodSync(TOKEN_FILE, 0o600);
+	
+	return token;
+};
+
+const is_valid_token = (value) => {
+	if (!bridge_token || typeof value !== 'string')
+		return false;
+	
+	const expected = Buffer.from(bridge_token);
+	const received = Buffer.from(value);
+	return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// the token is sent as a bearer token in the upgrade request, before any command is accepted
+const verify_client = (info, callback) => {
+	const authorization = info.req.headers.authorization || '';
+	const token = authorization.startsWith('Bearer ') ? authorization.substring(7) : null;
+	
+	if (is_valid_token(token)) {
+		callback(true);
+		return;
+	}
+	
+	console.warn(`VDB: Refused connection from ${info.req.socket.remoteAddress} - invalid token`);
+	callback(false, 401, 'Invalid token');
+};
+
+const SOCKETS_DIRECTORY = path.join(BRIDGE_DIRECTORY, 'sockets');
+
+// one socket per workspace, the hash keeps the path below the unix socket path limit
+const get_socket_path = () => {
+	const workspace = (vscode.workspace.workspaceFile ?? vscode.workspace.workspaceFolders?.[0]?.uri)?.toString() ?? instance_id;
+	const hash = crypto.createHash('sha256').update(workspace).digest('hex').substring(0, 16);
+	
+	// named pipes only grant write access to their owner by default
+	if (process.platform === 'win32')
+		return `\\\\.\\pipe\\vdb-${hash}`;
+	
+	return path.join(SOCKETS_DIRECTORY, `${hash}.sock`);
+};
+
+// access is limited by file permissions, no token is involved
+const start_socket_server = () => {
+	const target_path = get_socket_path();
+	let stale_removed = false;
+	
+	const fail = (error) => {
+		console.error('VDB: Socket server error:', error);
+		vscode.window.showErrorMessage(`VDB Bridge failed to start: ${error.message}`);
+		socket_server = null;
+	};
+	
+	const server = net.createServer(handle_socket_connection);
+	socket_server = server;
+	socket_path = target_path;
+	
+	server.on('listening', () => {
+		if (process.platform !== 'win32')
+			fs.chmodSync(target_path, 0o600);
+		
+		console.log(`VDB: Socket server started on ${target_path}`);
+		register_instance();
+	});
+	
+	server.on('error', (error) => {
+		if (error.code !== 'EADDRINUSE' || process.platform === 'win32' || stale_removed) {
+			fail(error);
+			return;
 		}
+		
+		// a socket file left behind by a crashed window refuses connections
+		const probe = net.createConnection(target_path);
+		probe.on('connect', () => {
+			probe.end();
+			fail(new Error(`Another window of this workspace is listening on ${target_path}`));
+		});
+		
+		probe.on('error', () => {
+			stale_removed = true;
+			fs.rmSync(target_path, { force: true });
+			server.listen(target_path);
+		});
 	});
 	
+	try {
+		if (process.platform !== 'win32') {
+			fs.mkdirSync(SOCKETS_DIRECTORY, { recursive: true, mode: 0o700 });
+			fs.chmodSync(SOCKETS_DIRECTORY, 0o700);
+		}
+	} catch (error) {
+		fail(error);
+		return;
+	}
+	
+	server.listen(target_path);
 };
 
 const start_server = () => {
-	if (wss) {
-		console.log('VDB: WebSocket server already running');
+	if (wss || socket_server) {
+		console.log('VDB: Bridge server already running');
 		return;
 	}
 	
 	const config = vscode.workspace.getConfiguration('vdb');
+	if (config.get('transport', 'websocket') === 'socket') {
+		start_socket_server();
+		return;
+	}
+	
 	const port = config.get('port', 3579);
 	const host = config.get('host', 'localhost');
+	const configured_token = config.get('token', '');
+	
+	// remote clients cannot read the token file, listening beyond loopback
+	// requires a token the user has chosen and shared deliberately
+	if (!is_loopback_host(host) && !configured_token) {
+		console.error(`VDB: Refusing to bind ${host} without a token`);
+		vscode.window.showErrorMessage(`VDB Bridge refuses to listen on ${host} without vdb.token being set`);
+		return;
+	}
 	
-	wss = new WebSocketServer({ port, host });
+	try {
+		bridge_token = load_bridge_token(configured_token);
+	} catch (error) {
+		console.error('VDB: Failed to write token file:', error);
+		vscode.window.showErrorMessage(`VDB Bridge failed to write ${TOKEN_FILE}: ${error.message}`);
+		return;
+	}
 	
-	wss.on('connection', handle_websocket_connection);
+	server_host = host;
 	
-	wss.on('listening', () => {
-		const address = wss.address();
-		console.log(`VDB: WebSocket server started on ws://${address.address}:${address.port}`);
-	});
+	const listen = (listen_port) => {
+		const server = new WebSocketServer({ port: listen_port, host, verifyClient: verify_client });
+		wss = server;
+		
+		server.on('connection', handle_websocket_connection);
+		
+		server.on('listening', () => {
+			const address = server.address();
+			console.log(`VDB: WebSocket server started on ws://${address.address}:${address.port}`);
+			register_instance();
+		});
+		
+		server.on('error', (error) => {
+			// another window owns the configured port, the cli finds this one through its instance file
+			if (error.code === 'EADDRINUSE' && listen_port !== 0) {
+				console.warn(`VDB: Port ${listen_port} is in use, falling back to a free port`);
+				server.close();
+				listen(0);
+				return;
+			}
+			
+			console.error('VDB: WebSocket server error:', error);
+			vscode.window.showErrorMessage(`VDB Bridge failed to start: ${error.message}`);
+			wss = null;
+		});
+	};
 	
-	wss.on('error', (error) => {
-		console.error('VDB: WebSocket server error:', error);
-		vscode.window.showErrorMessage(`VDB Bridge failed to start: ${error.message}`);
-		wss = null;
-	});
+	listen(port);
 };
 
 const stop_server = () => {
+	if (!wss && !socket_server)
+		return;
+	
+	clients.forEach(client => {
+		if (client.readyState === client.OPEN) {
+			client.close();
+		}
+	});
+	clients.clear();
+	unregister_instance();
+	
 	if (wss) {
-		clients.forEach(client => {
-			if (client.readyState === client.OPEN) {
-				client.close();
-			}
-		});
-		clients.clear();
-		
 		wss.close(() => {
 			console.log('VDB: WebSocket server stopped');
 			vscode.window.showInformationMessage('VDB Bridge stopped');
 		});
 		wss = null;
 	}
+	
+	if (socket_server) {
+		// closing a unix socket server removes the socket file
+		socket_server.close(() => {
+			console.log('VDB: Socket server stopped');
+			vscode.window.showInformationMessage('VDB Bridge stopped');
+		});
+		socket_server = null;
+	}
 };
 
 const activate = (context) => {
 	console.log('VDB: Extension activating...');
 	
 	setup_debug_listeners();
+	setup_adapter_tracker(context);
 	start_server();
 	
 	context.subscriptions.push(
@@ -1222,8 +3558,9 @@ const activate = (context) => {
 		}),
 		
 		vscode.commands.registerCommand('vdb.status', () => {
-			const status = wss ? 'Running' : 'Stopped';
-			const session = current_session ? `Active: ${current_session.name}` : 'No active session';
+			const status = wss?.address() ? `Running on port ${wss.address().port}` : (socket_server ? `Running on ${socket_path}` : 'Stopped');
+			const active = vscode.debug.activeDebugSession;
+			const session = active ? `Active: ${active.name} (${debug_sessions.size} session(s))` : 'No active session';
 			vscode.window.showInformationMessage(`VDB Bridge: ${status} | ${session}`);
 		})
 	);
@@ -1233,7 +3570,7 @@ const activate = (context) => {
 
 const deactivate = () => {
 	console.log('VDB: Extension deactivating...');
-	if (wss)
+	if (wss || socket_server)
 		stop_server();
 };
 